@@ -8,17 +8,149 @@ const __dirname = dirname(fileURLToPath(import.meta.url));
 const PKG = JSON.parse(fs.readFileSync(__dirname + '/../package.json'));
 import { program } from 'commander';
 import colors from 'colors';
-import { extractFileIdsFromUrl, _defaultSVGoSettings, checkRequirements } from './utils.js';
-import FigmaSync from './sync.js';
+import { checkRequirements } from './utils.js';
+import { loadConfigFile, loadEnvFile, resolveTargets } from './config.js';
+import { syncTargets } from './index.js';
+import { watchTargets } from './watch.js';
+import { serveTargets } from './server.js';
 
 checkRequirements();
 
+/**
+ * Resolves the targets from the config file and the command line
+ * @param {string[]} links      Links passed as arguments
+ * @param {object} opts         Options of the program
+ */
+async function resolveCliTargets(links, opts) {
+    const fromCli = (key) => program.getOptionValueSource(key) === 'cli';
+    const fileConfig = await loadConfigFile(opts.config ?? null);
+
+    // Tokens may be stored in .env to keep them out of the shell history
+    loadEnvFile(opts.envFile ?? '.env', opts.envFile !== undefined);
+
+    if(links.length === 0 && fileConfig === null) {
+        throw new Error('No URL specified: provide a link to a file, a page or a frame in Figma or create icons-sync.config.json');
+    }
+
+    // Settings passed on the command line take precedence over the config file
+    const overrides = {
+        enableConsoleOutput: true,
+        ...(opts.quiet ? { quiet: true } : {}),
+        ...(opts.check ? { dryRun: true } : {}),
+        ...(opts.compareContents ? { compareContents: true } : {}),
+
+        ...(links.length > 0 ? { figmaLink: links } : {}),
+        ...(opts.token !== undefined ? { apiToken: opts.token } : {}),
+        ...(opts.oauthToken !== undefined ? { oauthToken: opts.oauthToken } : {}),
+        ...(fromCli('output') ? { output: opts.output } : {}),
+        ...(fromCli('ignoreSubfolders') ? { ignoreSubfolders: opts.ignoreSubfolders } : {}),
+        ...(opts.naming !== undefined ? { naming: {
+            template: opts.naming,
+            ...(opts.namingCase !== undefined ? { case: opts.namingCase } : {}),
+        } } : {}),
+        ...(opts.variants !== undefined ? { variants: {
+            filter: opts.variants.split(',').reduce((acc, condition) => {
+                const [property, value] = condition.split('=').map(part => part.trim());
+                acc[property] = [...(acc[property] ?? []), value];
+                return acc;
+            }, {}),
+        } } : {}),
+        ...(['include', 'exclude', 'includeFrames', 'excludeFrames', 'excludeMarkers'].some(key => opts[key] !== undefined) ? {
+            filters: {
+                ...(opts.include !== undefined ? { include: opts.include.split(/,(?![^{]*})/) } : {}),
+                ...(opts.exclude !== undefined ? { exclude: opts.exclude.split(/,(?![^{]*})/) } : {}),
+                ...(opts.includeFrames !== undefined ? { includeFrames: opts.includeFrames } : {}),
+                ...(opts.excludeFrames !== undefined ? { excludeFrames: opts.excludeFrames } : {}),
+                ...(opts.excludeMarkers !== undefined ? { excludeMarkers: opts.excludeMarkers.split(',') } : {}),
+            }
+        } : {}),
+        ...(opts.svgoConf !== undefined ? { svgoConfig: opts.svgoConf } : {}),
+
+        ...(['monochromeColors', 'removeFill', 'removeStroke'].some(fromCli) ? {
+            monochrome: {
+                ...(fromCli('monochromeColors') ? { colors: opts.monochromeColors.split(',') } : {}),
+                ...(fromCli('removeFill') ? { removeFill: opts.removeFill } : {}),
+                ...(fromCli('removeStroke') ? { removeStroke: opts.removeStroke } : {}),
+            }
+        } : {}),
+
+        ...(opts.colorMap !== undefined ? { colorMapping: {
+            colors: Object.fromEntries(opts.colorMap.split(/,(?![^(]*\))/).map((pair) => {
+                const [color, target] = [pair.slice(0, pair.indexOf('=')), pair.slice(pair.indexOf('=') + 1)].map(part => part.trim());
+                return [color, target.startsWith('.') ? { class: target.slice(1) } : target];
+            })),
+        } } : {}),
+
+        ...(opts.lint !== undefined ? { lint: typeof opts.lint === 'string'
+            ? Object.fromEntries(opts.lint.split(',').map(rule => rule.split('=').map(part => part.trim())).map(([rule, severity]) => [rule, severity ?? 'warn']))
+            : true
+        } : {}),
+
+        ...(opts.apiBase !== undefined ? { apiBase: opts.apiBase } : {}),
+        ...(opts.record !== undefined ? { fixtures: { mode: 'record', directory: opts.record } } : {}),
+        ...(opts.replay !== undefined ? { fixtures: { mode: 'replay', directory: opts.replay } } : {}),
+
+        ...(['concurrency', 'retries', 'timeout'].some(key => opts[key] !== undefined) ? {
+            network: Object.fromEntries(
+                ['concurrency', 'retries', 'timeout']
+                    .filter(key => opts[key] !== undefined)
+                    .map(key => [key, parseInt(opts[key])])
+            )
+        } : {}),
+
+        ...(opts.manifest !== undefined ? { manifest: opts.manifest.split(',') } : {}),
+        ...(opts.sprite !== undefined ? { sprite: {
+            ...(typeof opts.sprite === 'string' ? { filename: opts.sprite } : {}),
+            groupBySubfolder: opts.spriteBySubfolder,
+        } } : {}),
+        ...(opts.components !== undefined ? { components: {
+            emitter: opts.components,
+            ...(opts.componentsOutput !== undefined ? { output: opts.componentsOutput } : {}),
+        } } : {}),
+        ...(opts.metadata !== undefined ? { metadata: opts.metadata } : {}),
+        ...(opts.png !== undefined || opts.pdf ? { rasters: [
+            ...(opts.png !== undefined ? [{
+                format: 'png',
+                ...(typeof opts.png === 'string' ? { scales: opts.png.split(',').map(scale => Number(scale.trim())) } : {}),
+                ...(opts.rastersOutput !== undefined ? { output: opts.rastersOutput } : {}),
+            }] : []),
+            ...(opts.pdf ? [{
+                format: 'pdf',
+                ...(opts.rastersOutput !== undefined ? { output: opts.rastersOutput } : {}),
+            }] : []),
+        ] } : {}),
+        ...(opts.report !== undefined ? { changeReport: opts.report } : {}),
+        ...(opts.prune ? { prune: {
+            ...(opts.pruneAfterSyncs !== undefined ? { afterSyncs: parseInt(opts.pruneAfterSyncs) } : {}),
+            ...(opts.pruneAfterDays !== undefined ? { afterDays: parseFloat(opts.pruneAfterDays) } : {}),
+            ...(opts.pruneUnusedOnly ? { onlyUnused: true } : {}),
+        } } : {}),
+        ...(opts.usages !== undefined ? { usages: {
+            include: opts.usages.split(/,(?![^{]*})/),
+            rewrite: opts.rewriteUsages,
+        } } : {}),
+        ...(opts.font !== undefined ? { font: {
+            ...(typeof opts.font === 'string' ? { name: opts.font } : {}),
+            ...(opts.fontOutput !== undefined ? { output: opts.fontOutput } : {}),
+        } } : {}),
+    };
+
+    // Links passed on the command line replace the targets of the config file
+    const { targets, name, ...sharedConfig } = fileConfig ?? {};
+    const config = links.length > 0 ? sharedConfig : (fileConfig ?? {});
+
+    return resolveTargets(config, overrides);
+}
+
 program
     .name('icons-sync')
     .description(PKG.description)
     .version(PKG.version, '-v, --version')
-    .arguments('[FIGMA-LINK]')
-    .requiredOption('-t, --token <STRING>', 'Figma API token, ' + 'required'.yellow)
+    .arguments('[FIGMA-LINKS...]')
+    .option('-t, --token <STRING>', 'Figma personal access token, ' + 'required'.yellow + ' unless set in FIGMA_TOKEN environment variable or the config file')
+    .option('--oauth-token <STRING>', 'Figma OAuth token, may be set in FIGMA_OAUTH_TOKEN environment variable instead')
+    .option('--env-file <FILE>', 'load environment variables from the file (default: .env in the working directory)')
+    .option('-c, --config <FILE>', 'config file, .json or .js (default: icons-sync.config.json or icons-sync.config.js in the working directory)')
     .option(
         '-o, --output <OUTPUT>',
         'output folder',
@@ -29,6 +161,20 @@ program
         'ignore subfolders in icon\'s name (e. g. «socials/facebook» will be converted to «socials-facebook»)',
         false
     )
+    .option(
+        '--naming <TEMPLATE>',
+        'template of icon names, e.g. "{folder}/icon-{size}-{name}": {name}, {folder}, {component}, {set}, {variant}, {frame}, {path} or a variant property'
+    )
+    .option('--naming-case <CASE>', 'with --naming, case of the names: kebab, snake, camel or pascal (default: kebab)')
+    .option(
+        '--variants <FILTER>',
+        'export only the matching variants of component sets, e.g. "size=24,size=32,style=filled"'
+    )
+    .option('--include <GLOBS>', 'export only the icons with matching names, comma-separated globs, e.g. "ui/**"')
+    .option('--exclude <GLOBS>', 'skip the icons with matching names, comma-separated globs')
+    .option('--include-frames <REGEX>', 'export only the icons in the pages or frames with matching names')
+    .option('--exclude-frames <REGEX>', 'skip the icons in the pages or frames with matching names, e.g. "Archive|Drafts"')
+    .option('--exclude-markers <MARKERS>', 'skip the icons with these markers in the component description, e.g. "#wip,#deprecated"')
     .option('--svgo-conf <CONFIG>', 'custom SVGo config file, only .json is supported')
     .option(
         '--monochrome-colors <COLORS>', 
@@ -45,6 +191,81 @@ program
         'remove stroke="color" from SVG if the icon is considered monochrome',
         false
     )
+    .option(
+        '--color-map <PAIRS>',
+        'replace the colors, Figma styles or variables with CSS values or classes, e.g. "#3B5998=var(--icon-primary),Brand/Accent=.icon-accent"'
+    )
+    .option(
+        '--lint [RULES]',
+        'check the icons before saving them, icons breaking the rules with errors are not saved, e.g. "no-image=error,no-text,max-bytes=warn" (default: recommended rules)'
+    )
+    .option(
+        '--manifest <FORMATS>',
+        'generate a module with the list of icons in the output folder, comma-separated: ts, esm, cjs, dts'
+    )
+    .option(
+        '--sprite [FILENAME]',
+        'assemble the icons into an SVG sprite in the output folder (default filename: sprite.svg)'
+    )
+    .option(
+        '--sprite-by-subfolder',
+        'with --sprite, generate a separate sprite for every subfolder',
+        false
+    )
+    .option(
+        '--components <FRAMEWORK>',
+        'generate a component for every icon and a barrel file: react, vue or svelte'
+    )
+    .option(
+        '--components-output <OUTPUT>',
+        'with --components, output folder for the components (default: «components» in the output folder)'
+    )
+    .option(
+        '--font [NAME]',
+        'compile monochrome icons into an icon font with a CSS file in the «font» subfolder of the output folder (default name: icons)'
+    )
+    .option(
+        '--font-output <OUTPUT>',
+        'with --font, output folder for the font files'
+    )
+    .option('--png [SCALES]', 'also export the icons as PNG at the comma-separated scales with @2x suffixes, e.g. "1,2,3" (default: 1)')
+    .option('--pdf', 'also export the icons as PDF')
+    .option('--rasters-output <OUTPUT>', 'with --png or --pdf, output folder for the exported files (default: the output folder)')
+    .option(
+        '--metadata [FILENAME]',
+        'write the descriptions, keywords, dimensions and other metadata of the icons to the output folder (default filename: metadata.json)'
+    )
+    .option(
+        '--report <FILE>',
+        'write the report of the changes, e.g. for a pull request: .md, or .html with before/after previews'
+    )
+    .option(
+        '--usages <GLOBS>',
+        'find the references to renamed and removed icons in the source files, comma-separated globs, e.g. "src/**/*.{ts,tsx}"'
+    )
+    .option(
+        '--rewrite-usages',
+        'with --usages, update the import paths and the component names of renamed icons in the source files',
+        false
+    )
+    .option(
+        '--prune',
+        'delete removed icons and copies of renamed icons under their former names after the grace period (default: 30 days)',
+        false
+    )
+    .option('--prune-after-syncs <NUMBER>', 'with --prune, delete the files after this number of syncs')
+    .option('--prune-after-days <NUMBER>', 'with --prune, delete the files after this number of days')
+    .option(
+        '--prune-unused-only',
+        'with --prune and --usages, keep the files while they are referenced in the source files',
+        false
+    )
+    .option('--api-base <URL>', 'base URL of Figma API, e.g. of a local mock server (default: https://api.figma.com/v1)')
+    .option('--record <DIRECTORY>', 'record the responses of Figma API to the directory for offline testing')
+    .option('--replay <DIRECTORY>', 'replay the responses recorded with --record instead of sending requests')
+    .option('--concurrency <NUMBER>', 'number of icons downloaded at once (default: 5)')
+    .option('--retries <NUMBER>', 'number of retries for failed requests to Figma (default: 3)')
+    .option('--timeout <MS>', 'request timeout in milliseconds (default: 30000)')
     .option(
         '-q, --quiet',
         'output only critical error messages',
@@ -55,71 +276,63 @@ program
         'force re-fetch all icons ignoring the icons stored locally',
         false
     )
+    .option(
+        '--check',
+        'dry run: report the changelog without writing any files and exit with code 1 if the icons are out of sync',
+        false
+    )
+    .option(
+        '--compare-contents',
+        'with --check, download changed icons and compare them to the local files',
+        false
+    )
     .option('--no-color', 'output plain text without color')
-    .action((str, opts) => {
-        if(str == undefined) {
-            throw new Error('No URL specified: provide a link directly to a frame in the Figma file');
-        }
+    .action(async (links, opts) => {
+        const results = await syncTargets(await resolveCliTargets(links, opts), opts.force);
 
-        const { fileId, nodeId } = extractFileIdsFromUrl(str);
-
-        let svgoConf = false;
-        if('svgoConf' in opts) {
-            if(opts.svgoConf.split('.').pop() !== 'json') {
-                throw new Error(`SVGo config file '${opts.svgoConf}' should have .json extension`);
-            } else if(!fs.existsSync(opts.svgoConf)) {
-                throw new Error(`SVGo config file '${opts.svgoConf}' does not exist`);
-            } else {
-                try {
-                    const _contents = JSON.parse(fs.readFileSync(opts.svgoConf));
-                    if(typeof _contents !== 'object') {
-                        throw new Error(`SVGo config file '${opts.svgoConf}' isn't a valid JSON file (object expected)`);
-                    }
-
-                    svgoConf = _contents;
-                } catch(err) {
-                    throw new Error(`SVGo config file '${opts.svgoConf}' isn't a valid JSON file`);
-                }
-            }
+        if(results.some(result => result.dryRun && result.hasChanges)) {
+            process.exitCode = 1;
         }
+    });
 
-        const options = {
-            token: opts.token,
-            outputDirectory: opts.output + (opts.output.endsWith('/') ? '' : '/'),
-            ignoreSubfolders: opts.ignoreSubfolders,
-
-            monochrome: {
-                colors: opts.monochromeColors.split(','),
-                removeFill: opts.removeFill,
-                removeStroke: opts.removeStroke,
-            },
-    
-            fileId: fileId,
-            nodeId: nodeId,
-
-            cli: {
-                enabled: true,
-                quiet: opts.quiet
-            },
-
-            svgoConfig: svgoConf !== false ? svgoConf : _defaultSVGoSettings
-        };
-    
-        const syncer = new FigmaSync(options);
-    
-        new Promise(async (resolve, reject) => {
-            try {
-                const result = await syncer.extractIcons(opts.force);
-                resolve(result);
-            } catch(err) {
-                reject(err);
-            }
-        }).catch(err => {
-            process.stdout.clearLine(0);
-            process.stdout.write('Sync Error'.white.bgRed + '\n');
-            console.error(err);
+program
+    .command('watch')
+    .description('keep the icons in sync: poll Figma for changes and sync the icons when the file changes')
+    .arguments('[FIGMA-LINKS...]')
+    .option('-i, --interval <SECONDS>', 'polling interval in seconds, at least 5', '60')
+    .option('--hook <COMMAND>', 'command to run after every sync with a non-empty changelog')
+    .action(async (links, watchOpts) => {
+        const opts = program.opts();
+        watchTargets(await resolveCliTargets(links, opts), {
+            interval: parseFloat(watchOpts.interval),
+            hook: watchOpts.hook ?? null,
+            forceReload: opts.force,
         });
+    });
 
+program
+    .command('serve')
+    .description('receive Figma webhooks and sync the icons on FILE_UPDATE and LIBRARY_PUBLISH events')
+    .arguments('[FIGMA-LINKS...]')
+    .option('-p, --port <PORT>', 'port to listen to', '4000')
+    .option('--host <HOST>', 'host to listen to (default: all interfaces)')
+    .option('--passcode <STRING>', 'passcode of the webhook, may be set in FIGMA_WEBHOOK_PASSCODE environment variable instead')
+    .option('--debounce <SECONDS>', 'delay after the last event of a burst before the sync', '5')
+    .option('--hook <COMMAND>', 'command to run after every sync with a non-empty changelog')
+    .action(async (links, serveOpts) => {
+        const targets = await resolveCliTargets(links, program.opts());
+        serveTargets(targets, {
+            passcode: serveOpts.passcode ?? process.env.FIGMA_WEBHOOK_PASSCODE,
+            port: Number(serveOpts.port),
+            host: serveOpts.host,
+            debounce: Number(serveOpts.debounce),
+            hook: serveOpts.hook ?? null,
+        });
     });
 
-program.parse();
\ No newline at end of file
+program.parseAsync().catch(err => {
+    process.exitCode = 1;
+    if(process.stdout.isTTY) { process.stdout.clearLine(0); }
+    process.stdout.write('Sync Error'.white.bgRed + '\n');
+    console.error(err);
+});
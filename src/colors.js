@@ -0,0 +1,414 @@
+import { parseSvg } from './utils.js';
+
+/**
+ * CSS named colors
+ */
+const namedColors = Object.fromEntries((
+    'aliceblue:f0f8ff antiquewhite:faebd7 aqua:00ffff aquamarine:7fffd4 azure:f0ffff beige:f5f5dc bisque:ffe4c4 ' +
+    'black:000000 blanchedalmond:ffebcd blue:0000ff blueviolet:8a2be2 brown:a52a2a burlywood:deb887 cadetblue:5f9ea0 ' +
+    'chartreuse:7fff00 chocolate:d2691e coral:ff7f50 cornflowerblue:6495ed cornsilk:fff8dc crimson:dc143c cyan:00ffff ' +
+    'darkblue:00008b darkcyan:008b8b darkgoldenrod:b8860b darkgray:a9a9a9 darkgreen:006400 darkgrey:a9a9a9 ' +
+    'darkkhaki:bdb76b darkmagenta:8b008b darkolivegreen:556b2f darkorange:ff8c00 darkorchid:9932cc darkred:8b0000 ' +
+    'darksalmon:e9967a darkseagreen:8fbc8f darkslateblue:483d8b darkslategray:2f4f4f darkslategrey:2f4f4f ' +
+    'darkturquoise:00ced1 darkviolet:9400d3 deeppink:ff1493 deepskyblue:00bfff dimgray:696969 dimgrey:696969 ' +
+    'dodgerblue:1e90ff firebrick:b22222 floralwhite:fffaf0 forestgreen:228b22 fuchsia:ff00ff gainsboro:dcdcdc ' +
+    'ghostwhite:f8f8ff gold:ffd700 goldenrod:daa520 gray:808080 green:008000 greenyellow:adff2f grey:808080 ' +
+    'honeydew:f0fff0 hotpink:ff69b4 indianred:cd5c5c indigo:4b0082 ivory:fffff0 khaki:f0e68c lavender:e6e6fa ' +
+    'lavenderblush:fff0f5 lawngreen:7cfc00 lemonchiffon:fffacd lightblue:add8e6 lightcoral:f08080 lightcyan:e0ffff ' +
+    'lightgoldenrodyellow:fafad2 lightgray:d3d3d3 lightgreen:90ee90 lightgrey:d3d3d3 lightpink:ffb6c1 ' +
+    'lightsalmon:ffa07a lightseagreen:20b2aa lightskyblue:87cefa lightslategray:778899 lightslategrey:778899 ' +
+    'lightsteelblue:b0c4de lightyellow:ffffe0 lime:00ff00 limegreen:32cd32 linen:faf0e6 magenta:ff00ff maroon:800000 ' +
+    'mediumaquamarine:66cdaa mediumblue:0000cd mediumorchid:ba55d3 mediumpurple:9370db mediumseagreen:3cb371 ' +
+    'mediumslateblue:7b68ee mediumspringgreen:00fa9a mediumturquoise:48d1cc mediumvioletred:c71585 ' +
+    'midnightblue:191970 mintcream:f5fffa mistyrose:ffe4e1 moccasin:ffe4b5 navajowhite:ffdead navy:000080 ' +
+    'oldlace:fdf5e6 olive:808000 olivedrab:6b8e23 orange:ffa500 orangered:ff4500 orchid:da70d6 palegoldenrod:eee8aa ' +
+    'palegreen:98fb98 paleturquoise:afeeee palevioletred:db7093 papayawhip:ffefd5 peachpuff:ffdab9 peru:cd853f ' +
+    'pink:ffc0cb plum:dda0dd powderblue:b0e0e6 purple:800080 rebeccapurple:663399 red:ff0000 rosybrown:bc8f8f ' +
+    'royalblue:4169e1 saddlebrown:8b4513 salmon:fa8072 sandybrown:f4a460 seagreen:2e8b57 seashell:fff5ee ' +
+    'sienna:a0522d silver:c0c0c0 skyblue:87ceeb slateblue:6a5acd slategray:708090 slategrey:708090 snow:fffafa ' +
+    'springgreen:00ff7f steelblue:4682b4 tan:d2b48c teal:008080 thistle:d8bfd8 tomato:ff6347 turquoise:40e0d0 ' +
+    'violet:ee82ee wheat:f5deb3 white:ffffff whitesmoke:f5f5f5 yellow:ffff00 yellowgreen:9acd32'
+).split(' ').map(pair => pair.split(':')));
+
+/**
+ * Values of color properties that don't define a color
+ */
+const colorlessValues = ['none', 'transparent', 'currentcolor', 'inherit', 'initial', 'unset', 'context-fill', 'context-stroke'];
+
+/**
+ * Color properties mapped in the SVG, both as attributes and in styles
+ */
+const colorProperties = ['fill', 'stroke', 'stop-color', 'flood-color', 'lighting-color', 'color'];
+
+/**
+ * Shape elements painted with the fill and the stroke
+ */
+const shapeElements = ['path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon', 'text', 'use'];
+
+/**
+ * Elements whose contents aren't painted directly: gradients, clipping paths, masks, etc.
+ */
+const unpaintedElements = ['defs', 'clipPath', 'mask', 'symbol', 'linearGradient', 'radialGradient', 'pattern', 'filter', 'marker'];
+
+/**
+ * Splits an inline style into the declarations, e.g. «fill:#000;opacity:.5» → [['fill', '#000'], ['opacity', '.5']]
+ * @param {string|undefined} style
+ * @returns {string[][]}
+ */
+function parseStyle(style) {
+    return (style ?? '').split(';')
+        .map(declaration => [declaration.slice(0, declaration.indexOf(':')), declaration.slice(declaration.indexOf(':') + 1)])
+        .map(parts => parts.map(part => part.trim()))
+        .filter(([property, value]) => property && value);
+}
+
+/**
+ * Parses an opacity value, e.g. «0.5» or «50%»
+ * @param {string|undefined} value
+ * @returns {number} from 0 to 1, 1 when the value is missing or invalid
+ */
+function parseOpacity(value) {
+    if(value === undefined) {
+        return 1;
+    }
+
+    const opacity = parseFloat(value) / (String(value).trim().endsWith('%') ? 100 : 1);
+    return isNaN(opacity) ? 1 : Math.min(1, Math.max(0, opacity));
+}
+
+/**
+ * Returns the alpha channel of a color, e.g. of «#0008» or «rgba(0, 0, 0, .5)»
+ * @param {string} value
+ * @returns {number} from 0 to 1
+ */
+function colorAlpha(value) {
+    value = String(value).trim().toLowerCase();
+
+    const hex = value.match(/^#?([\da-f]{4}|[\da-f]{8})$/);
+    if(hex !== null) {
+        const digits = hex[1].length === 4 ? hex[1][3].repeat(2) : hex[1].slice(6);
+        return parseInt(digits, 16) / 255;
+    }
+
+    const rgba = value.match(/^rgba?\(([^)]*)\)$/);
+    if(rgba !== null) {
+        const channels = rgba[1].split(/[\s,/]+/).filter(channel => channel !== '');
+        return channels.length === 4 ? parseOpacity(channels[3]) : 1;
+    }
+
+    return value === 'transparent' ? 0 : 1;
+}
+
+/**
+ * Identifies a color with its opacity, e.g. «#000000» or «#00000066» when semi-transparent
+ * @param {string} hex      Normalised color
+ * @param {number} alpha
+ */
+function colorKey(hex, alpha) {
+    const alphaByte = Math.round(alpha * 255);
+    return '#' + hex + (alphaByte < 255 ? alphaByte.toString(16).padStart(2, '0') : '');
+}
+
+/**
+ * Normalises a color to the lowercase 6-digit hex without #: «#000», «black» and «rgb(0, 0, 0)» become «000000»
+ * @param {string} value
+ * @returns {string|null} hex, the original value when it can't be parsed, or null when the value defines no color
+ */
+export function normalizeColor(value) {
+    value = String(value).trim().toLowerCase();
+
+    if(value === '' || colorlessValues.includes(value) || value.startsWith('url(') || value.startsWith('var(')) {
+        return null;
+    }
+
+    if(value in namedColors) {
+        return namedColors[value];
+    }
+
+    const hex = value.match(/^#?([\da-f]{3,8})$/);
+    if(hex !== null && [3, 4, 6, 8].includes(hex[1].length)) {
+        const digits = hex[1].length <= 4 ? [...hex[1]].map(digit => digit + digit).join('') : hex[1];
+        return digits.slice(0, 6);
+    }
+
+    const rgb = value.match(/^rgba?\(\s*([\d.]+%?)[\s,]+([\d.]+%?)[\s,]+([\d.]+%?)/);
+    if(rgb !== null) {
+        return rgb.slice(1, 4)
+            .map(channel => channel.endsWith('%') ? parseFloat(channel) * 2.55 : parseFloat(channel))
+            .map(channel => Math.round(Math.min(255, channel)).toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    return value;
+}
+
+/**
+ * Converts a Figma color, { r, g, b } from 0 to 1, to the lowercase hex without #
+ * @param {object} color
+ */
+export function figmaColorToHex({ r, g, b }) {
+    return [r, g, b].map(channel => Math.round(channel * 255).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Collects the visible paints of a component and its children from the node data,
+ * with the names of the bound styles and the IDs of the bound variables
+ * @param {object} node
+ * @param {object} stylesMetadata       Styles of the file by ID
+ * @returns {{ type: string, hex: string|null, opacity: number, style: string|null, variable: string|null }[]}
+ */
+export function collectPaints(node, stylesMetadata = {}, opacity = 1) {
+    if(node.visible === false || node.opacity === 0) {
+        return [];
+    }
+
+    // Opacity of the layers is multiplied down the tree
+    opacity *= node.opacity ?? 1;
+
+    const paints = [];
+    for(const [property, styleType] of [['fills', 'fill'], ['strokes', 'stroke']]) {
+        // Strokes of zero weight aren't rendered
+        if(property === 'strokes' && node.strokeWeight === 0) { continue; }
+
+        for(const paint of node[property] ?? []) {
+            if(paint.visible === false || (paint.opacity ?? 1) === 0) { continue; }
+
+            const styleId = node.styles?.[styleType];
+            paints.push({
+                type: paint.type,
+                hex: paint.type === 'SOLID' ? figmaColorToHex(paint.color) : null,
+                opacity: opacity * (paint.opacity ?? 1) * (paint.color?.a ?? 1),
+                style: styleId !== undefined ? (stylesMetadata[styleId]?.name ?? null) : null,
+                variable: paint.boundVariables?.color?.id ?? null,
+            });
+        }
+    }
+
+    for(const child of node.children ?? []) {
+        paints.push(...collectPaints(child, stylesMetadata, opacity));
+    }
+
+    return paints;
+}
+
+/**
+ * Classifies the colors of an icon: «monochrome» when painted with a single color or none,
+ * «multicolor» with several colors or opacities, and «gradient» when painted with gradients or images.
+ * Only the visible fills and strokes are taken into account, both of the SVG and of the Figma node paints
+ * @param {string|Buffer|null} svg     null to classify by the paints only, e.g. when the fills of the file were removed
+ * @param {object[]|null} paints    Paints of the icon from the node data, when available
+ * @returns {{ colorType: string, colors: string[], isMonochrome: boolean }} isMonochrome is set
+ *  when the icon is painted with a single color, one of the monochrome colors
+ */
+export function classifyColors(svg, paints = null) {
+    const colors = new Set();
+    let hasGradient = false;
+
+    // Fills, strokes and their opacities are inherited from the parent elements
+    const walk = (node, inherited) => {
+        if(node.type !== 'element' || unpaintedElements.includes(node.name)) {
+            return;
+        }
+
+        const style = Object.fromEntries(parseStyle(node.attributes.style).map(([property, value]) => [property.toLowerCase(), value]));
+        const get = (property) => style[property] ?? node.attributes[property];
+
+        if(get('display') === 'none' || get('visibility') === 'hidden') {
+            return;
+        }
+
+        const state = { opacity: inherited.opacity * parseOpacity(get('opacity')) };
+        if(state.opacity === 0) {
+            return;
+        }
+        for(const property of ['fill', 'stroke', 'fill-opacity', 'stroke-opacity']) {
+            state[property] = get(property) ?? inherited[property];
+        }
+
+        if(shapeElements.includes(node.name)) {
+            for(const property of ['fill', 'stroke']) {
+                // Shapes without a color are painted with the inherited color, as with currentColor
+                if(state[property] === undefined) { continue; }
+
+                const alpha = state.opacity * parseOpacity(state[property + '-opacity']) * colorAlpha(state[property]);
+                if(alpha === 0) { continue; }
+
+                if(/^url\(/i.test(state[property].trim())) {
+                    hasGradient = true;
+                    continue;
+                }
+
+                const hex = normalizeColor(state[property]);
+                if(hex !== null) {
+                    colors.add(colorKey(hex, alpha));
+                }
+            }
+        }
+
+        node.children.forEach(child => walk(child, state));
+    };
+    if(svg !== null) {
+        parseSvg(svg).children.forEach(child => walk(child, { opacity: 1 }));
+    }
+
+    for(const paint of paints ?? []) {
+        if(paint.type !== 'SOLID') {
+            hasGradient = true;
+        } else if(paint.opacity > 0) {
+            colors.add(colorKey(paint.hex, paint.opacity));
+        }
+    }
+
+    const list = [...colors].sort();
+    const colorType = hasGradient ? 'gradient' : (list.length > 1 ? 'multicolor' : 'monochrome');
+    const monochromeColors = this.monochrome.colors.map(color => normalizeColor(color));
+
+    return {
+        colorType: colorType,
+        colors: list,
+        isMonochrome: list.length === 1 && colorType === 'monochrome' && monochromeColors.includes(list[0].slice(1, 7)),
+    };
+}
+
+/**
+ * Normalises the color mapping option
+ * @param {object} value    e.g. { colors: { '#3B5998': 'var(--icon-primary)', 'Brand/Accent': { class: 'icon-accent' } }, warnUnmapped: true }
+ * @returns {{ colors: object, names: object, warnUnmapped: boolean }|false}
+ */
+export function colorMappingOptions(value) {
+    if(value === false || value === undefined || value === null) {
+        return false;
+    }
+
+    if(typeof value !== 'object' || typeof value.colors !== 'object' || value.colors === null) {
+        throw new Error('Color mapping option should be an object with the colors to map, e.g. { colors: { \'#3B5998\': \'var(--icon-primary)\' } }');
+    }
+
+    // Colors are normalised; other keys are names of Figma styles or variables.
+    // Bare hex and named colors, e.g. «Black», may be names of styles as well, so they are kept as both
+    const colors = {};
+    const names = {};
+    for(const [key, target] of Object.entries(value.colors)) {
+        const isTargetValid = (typeof target === 'string' && target !== '')
+            || (typeof target === 'object' && target !== null && typeof target.class === 'string' && target.class !== '');
+        if(!isTargetValid) {
+            throw new Error(`Color mapping of '${key}' should be a CSS value, e.g. 'var(--icon-primary)' or 'currentColor', or { class: 'name' }`);
+        }
+
+        const hex = normalizeColor(key);
+        const isColor = hex !== null && /^[\da-f]{6}$/.test(hex);
+        if(isColor) {
+            colors[hex] = target;
+        }
+        if(!isColor || !/^(#|rgba?\()/i.test(key.trim())) {
+            names[key] = target;
+        }
+    }
+
+    return {
+        colors: colors,
+        names: names,
+        warnUnmapped: value.warnUnmapped ?? true,
+    };
+}
+
+/**
+ * Fetches the names of the variables of the file, used when colors are mapped by variable names.
+ * The endpoint is available on Enterprise plans only, so the names are skipped when it fails
+ * @returns {object} names by variable ID
+ */
+export async function fetchVariableNames() {
+    if(this.variableNames !== null) {
+        return this.variableNames;
+    }
+
+    this.variableNames = {};
+    try {
+        const response = await this.request(`${this.endpointBase}/files/${this.fileId}/variables/local`);
+        for(const [id, variable] of Object.entries(response.meta?.variables ?? {})) {
+            this.variableNames[id] = variable.name;
+        }
+    } catch(err) {
+        this.report(`Unable to fetch the variables of the file, colors are mapped by styles and values only: ${err.message}`.gray);
+    }
+
+    return this.variableNames;
+}
+
+/**
+ * Creates the SVGo plugin replacing the colors of an icon according to the color mapping.
+ * A color bound to a mapped style or variable in Figma takes precedence over the mapping of its value
+ * @param {object[]} paints     Paints of the icon from the node data
+ * @param {Set} unmapped        Collects the colors missing in the mapping
+ */
+export function colorMappingPlugin(paints, unmapped) {
+    const { colors, names } = this.colorMapping;
+    const variableNames = this.variableNames ?? {};
+
+    const findTarget = (hex) => {
+        for(const paint of paints.filter(paint => paint.hex === hex)) {
+            const name = [paint.style, variableNames[paint.variable]].find(name => name != null && name in names);
+            if(name !== undefined) {
+                return names[name];
+            }
+        }
+        return colors[hex];
+    };
+
+    const addClass = (node, className) => {
+        const classes = (node.attributes.class ?? '').split(/\s+/).filter(name => name !== '');
+        node.attributes.class = [...new Set([...classes, className])].join(' ');
+    };
+
+    // Returns the mapped value, or null when the property should be removed in favour of a class
+    const mapValue = (node, value) => {
+        const hex = normalizeColor(value);
+        if(hex === null) {
+            return value;
+        }
+
+        const target = findTarget(hex);
+        if(target === undefined) {
+            unmapped.add(/^[\da-f]{6}$/.test(hex) ? '#' + hex : hex);
+            return value;
+        }
+
+        if(typeof target === 'object') {
+            addClass(node, target.class);
+            return null;
+        }
+        return target;
+    };
+
+    return {
+        name: 'mapColors',
+        fn: () => ({
+            element: {
+                enter(node) {
+                    for(const property of colorProperties) {
+                        if(property in node.attributes) {
+                            const value = mapValue(node, node.attributes[property]);
+                            if(value === null) {
+                                delete node.attributes[property];
+                            } else {
+                                node.attributes[property] = value;
+                            }
+                        }
+                    }
+
+                    if(typeof node.attributes.style === 'string') {
+                        const declarations = parseStyle(node.attributes.style)
+                            .map(([property, value]) => [property, colorProperties.includes(property.toLowerCase()) ? mapValue(node, value) : value])
+                            .filter(([, value]) => value !== null);
+
+                        if(declarations.length > 0) {
+                            node.attributes.style = declarations.map(([property, value]) => `${property}:${value}`).join(';');
+                        } else {
+                            delete node.attributes.style;
+                        }
+                    }
+                },
+            },
+        }),
+    };
+}
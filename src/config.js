@@ -0,0 +1,385 @@
+import fs from 'node:fs';
+import { resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+
+import { extractFileIdsFromUrl, _defaultSVGoSettings, _defaultNetworkSettings } from './utils.js';
+import { manifestOptions } from './manifest.js';
+import { spriteOptions } from './sprite.js';
+import { componentsOptions } from './emitters.js';
+import { fontOptions } from './font.js';
+import { changeReportOptions } from './report.js';
+import { usagesOptions } from './usages.js';
+import { pruneOptions } from './prune.js';
+import { namingOptions } from './naming.js';
+import { variantsOptions } from './variants.js';
+import { filtersOptions } from './filters.js';
+import { metadataOptions } from './metadata.js';
+import { rastersOptions } from './rasters.js';
+import { colorMappingOptions } from './colors.js';
+import { lintOptions } from './lint.js';
+import { fixturesOptions, createFixturesTransport } from './transport.js';
+
+/**
+ * Config files discovered in the project root, in order of priority
+ */
+export const configFilenames = [
+    'icons-sync.config.json',
+    'icons-sync.config.js',
+    'icons-sync.config.mjs',
+    'icons-sync.config.cjs',
+];
+
+/**
+ * Settings available both on the top level of the config and for every target.
+ * Values are either expected types or validators returning an error message
+ */
+const schema = {
+    name: 'string',
+    figmaLink: (value) => typeof value === 'string' || (value instanceof Array && value.length > 0 && value.every(v => typeof v === 'string'))
+        ? null : 'expected a link or a non-empty array of links',
+    nodeIds: (value) => value instanceof Array && value.every(v => typeof v === 'string') ? null : 'expected an array of strings',
+    apiToken: 'string',
+    oauthToken: 'string',
+    envFile: 'string',
+    output: 'string',
+    ignoreSubfolders: 'boolean',
+    naming: null,
+    variants: null,
+    filters: null,
+    monochrome: 'object',
+    'monochrome.colors': (value) => value instanceof Array && value.every(v => typeof v === 'string') ? null : 'expected an array of strings',
+    'monochrome.removeFill': 'boolean',
+    'monochrome.removeStroke': 'boolean',
+    colorMapping: null,
+    lint: null,
+    svgoConfig: (value) => typeof value === 'object' || typeof value === 'string' ? null : 'expected an object or a path to .json file',
+    manifest: null,
+    sprite: null,
+    components: null,
+    font: null,
+    metadata: null,
+    rasters: null,
+    changeReport: null,
+    usages: null,
+    prune: null,
+    apiBase: 'string',
+    fetch: 'function',
+    fixtures: null,
+    network: 'object',
+    'network.timeout': (value) => Number.isFinite(value) && value > 0 ? null : 'expected a positive number of milliseconds',
+    'network.retries': (value) => Number.isInteger(value) && value >= 0 ? null : 'expected a non-negative integer',
+    'network.backoff': (value) => Number.isFinite(value) && value >= 0 ? null : 'expected a non-negative number of milliseconds',
+    'network.maxRetryDelay': (value) => Number.isFinite(value) && value >= 0 ? null : 'expected a non-negative number of milliseconds',
+    'network.concurrency': (value) => Number.isInteger(value) && value >= 1 ? null : 'expected a positive integer',
+    'network.batchSize': (value) => Number.isInteger(value) && value >= 1 ? null : 'expected a positive integer',
+    dryRun: 'boolean',
+    compareContents: 'boolean',
+    enableConsoleOutput: 'boolean',
+    quiet: 'boolean',
+};
+
+/**
+ * Looks for the config file in the project root
+ * @param {string|null} path    Path to the config file; when omitted, the file is discovered in the working directory
+ * @returns {object|null}       Config, or null when no config file is found
+ */
+export async function loadConfigFile(path = null) {
+    if(path === null) {
+        path = configFilenames.find(filename => fs.existsSync(filename)) ?? null;
+        if(path === null) {
+            return null;
+        }
+    } else if(!fs.existsSync(path)) {
+        throw new Error(`Config file '${path}' does not exist`);
+    }
+
+    if(path.endsWith('.json')) {
+        try {
+            return JSON.parse(fs.readFileSync(path, { encoding: 'utf8' }));
+        } catch(err) {
+            throw new Error(`Config file '${path}' isn't a valid JSON file`);
+        }
+    }
+
+    if(!/\.(c|m)?js$/.test(path)) {
+        throw new Error(`Config file '${path}' should have .json or .js extension`);
+    }
+
+    const module = await import(pathToFileURL(resolve(path)).href);
+    return module.default;
+}
+
+/**
+ * Reads variables from .env-style file
+ * @param {string} path
+ * @param {boolean} strict      Throw an error if the file does not exist
+ * @returns {object} variables
+ */
+export function parseEnvFile(path, strict = true) {
+    if(!fs.existsSync(path)) {
+        if(strict) {
+            throw new Error(`Env file '${path}' does not exist`);
+        }
+        return {};
+    }
+
+    const variables = {};
+    const lines = fs.readFileSync(path, { encoding: 'utf8' }).split(/\r?\n/);
+    for(const line of lines) {
+        const matches = line.match(/^\s*(?:export\s+)?([\w.-]+)\s*=\s*(.*?)\s*$/);
+        if(matches === null) { continue; }
+
+        let [, key, value] = matches;
+        const quoted = value.match(/^(['"])(.*?)\1(\s+#.*)?$/);
+        variables[key] = quoted !== null ? quoted[2] : value.replace(/\s+#.*$/, '');
+    }
+
+    return variables;
+}
+
+/**
+ * Loads variables from .env-style file to process.env without overriding the existing ones
+ * @param {string} path
+ * @param {boolean} strict      Throw an error if the file does not exist
+ */
+export function loadEnvFile(path, strict = true) {
+    for(const [key, value] of Object.entries(parseEnvFile(path, strict))) {
+        if(key in process.env === false) {
+            process.env[key] = value;
+        }
+    }
+}
+
+/**
+ * Loads SVGo config from .json file
+ * @param {string} path
+ */
+export function loadSvgoConfig(path) {
+    if(path.split('.').pop() !== 'json') {
+        throw new Error(`SVGo config file '${path}' should have .json extension`);
+    } else if(!fs.existsSync(path)) {
+        throw new Error(`SVGo config file '${path}' does not exist`);
+    }
+
+    let contents;
+    try {
+        contents = JSON.parse(fs.readFileSync(path));
+    } catch(err) {
+        throw new Error(`SVGo config file '${path}' isn't a valid JSON file`);
+    }
+
+    if(typeof contents !== 'object' || contents === null) {
+        throw new Error(`SVGo config file '${path}' isn't a valid JSON file (object expected)`);
+    }
+
+    return contents;
+}
+
+/**
+ * Validates settings against the schema. In lenient mode the problems are collected instead of thrown,
+ * and the unknown keys and invalid values are left out of the settings
+ * @param {object} settings
+ * @param {string} location     Location of the settings in the config, used in error messages
+ * @param {string[]|null} warnings  Problems found in lenient mode; null for the strict mode
+ * @returns {object} validated settings
+ */
+function validateSettings(settings, location, warnings = null) {
+    if(typeof settings !== 'object' || settings === null || settings instanceof Array) {
+        throw new Error(`Invalid config: ${location} should be an object`);
+    }
+
+    settings = { ...settings };
+    for(const key of ['monochrome', 'network']) {
+        if(typeof settings[key] === 'object' && settings[key] !== null) {
+            settings[key] = { ...settings[key] };
+        }
+    }
+
+    const reject = (key, message) => {
+        if(warnings === null) {
+            throw new Error(message);
+        }
+
+        warnings.push(message);
+        const path = key.split('.');
+        delete path.slice(0, -1).reduce((acc, k) => acc[k], settings)[path.slice(-1)[0]];
+    };
+
+    for(const key of Object.keys(settings)) {
+        if(key in schema === false) {
+            reject(key, `Invalid config: unknown key '${key}' in ${location}`);
+            continue;
+        }
+
+        if(['monochrome', 'network'].includes(key) && typeof settings[key] === 'object' && settings[key] !== null) {
+            for(const subkey of Object.keys(settings[key])) {
+                if(`${key}.${subkey}` in schema === false) {
+                    reject(`${key}.${subkey}`, `Invalid config: unknown key '${key}.${subkey}' in ${location}`);
+                }
+            }
+        }
+    }
+
+    for(const [key, rule] of Object.entries(schema)) {
+        const value = key.split('.').reduce((acc, k) => acc !== undefined && acc !== null ? acc[k] : undefined, settings);
+        if(value === undefined || rule === null) { continue; }
+
+        const error = typeof rule === 'function'
+            ? rule(value)
+            : (typeof value === rule && value !== null ? null : `expected ${rule}`);
+
+        if(error !== null) {
+            reject(key, `Invalid config: '${key}' in ${location}: ${error}`);
+        }
+    }
+
+    return settings;
+}
+
+/**
+ * Validates the config and expands it to the list of targets.
+ * A target inherits the top-level settings; overrides take precedence over both
+ * @param {object} config       Config with the list of targets or a single figmaLink
+ * @param {object} overrides    Settings applied to every target, e.g. from the command line
+ * @param {string[]|null} warnings  When given, unknown keys and invalid values are ignored and listed here instead of thrown
+ * @returns {object[]} list of targets
+ */
+export function resolveTargets(config, overrides = {}, warnings = null) {
+    if(typeof config !== 'object' || config === null) {
+        throw new Error('Config should be an object');
+    }
+
+    let { targets, ...shared } = config;
+    shared = validateSettings(shared, 'the config', warnings);
+    overrides = validateSettings(overrides, 'the overrides', warnings);
+
+    if(targets !== undefined && (targets instanceof Array === false || targets.length === 0)) {
+        throw new Error('Invalid config: \'targets\' should be a non-empty array');
+    }
+
+    // Nested settings are merged key by key
+    const merge = (...layers) => layers.reduce((acc, layer) => ({
+        ...acc,
+        ...layer,
+        ...Object.fromEntries(['monochrome', 'network']
+            .filter(key => key in acc || key in layer)
+            .map(key => [key, { ...acc[key], ...layer[key] }])
+        ),
+    }), {});
+
+    return (targets ?? [{}]).map((target, index) => {
+        const location = targets !== undefined ? `targets[${index}]` : 'the config';
+        const settings = merge(shared, validateSettings(target, location, warnings), overrides);
+        if(settings.figmaLink === undefined) {
+            throw new Error(`Invalid config: required key 'figmaLink' is not present in ${location}`);
+        }
+
+        // Tokens from the environment are used when the config has none. The env file of the target
+        // takes precedence over the environment and doesn't affect the other targets
+        const env = settings.envFile !== undefined ? { ...process.env, ...parseEnvFile(settings.envFile) } : process.env;
+        if(settings.apiToken === undefined && settings.oauthToken === undefined) {
+            if(env.FIGMA_OAUTH_TOKEN) {
+                settings.oauthToken = env.FIGMA_OAUTH_TOKEN;
+            } else if(env.FIGMA_TOKEN) {
+                settings.apiToken = env.FIGMA_TOKEN;
+            } else {
+                throw new Error(
+                    `No Figma token specified${targets !== undefined ? ' for ' + location : ''}: ` +
+                    'set the FIGMA_TOKEN environment variable, the apiToken key in the config or -t in the command line ' +
+                    '(oauthToken or FIGMA_OAUTH_TOKEN for OAuth tokens)'
+                );
+            }
+        }
+
+        try {
+            // Checking if the settings can be converted to options
+            buildOptions(settings);
+        } catch(err) {
+            throw new Error(`Invalid config${targets !== undefined ? ' in ' + location : ''}: ${err.message}`);
+        }
+
+        return settings;
+    });
+}
+
+/**
+ * Converts target settings to the options of the syncer
+ * @param {object} settings     Validated settings of a single target
+ */
+export function buildOptions(settings) {
+    const links = [settings.figmaLink].flat().map(link => extractFileIdsFromUrl(link));
+    const fileId = links[0].fileId;
+
+    if(links.some(link => link.fileId !== fileId)) {
+        throw new Error('All links of a target should point to the same Figma file, use separate targets for different files');
+    }
+
+    // A link without node-id covers the whole file
+    const nodeIds = links.some(link => link.nodeIds.length === 0)
+        ? []
+        : [...links.flatMap(link => link.nodeIds), ...(settings.nodeIds ?? []).map(id => id.replace(/:/g, '-'))]
+            .filter((id, index, array) => array.indexOf(id) === index);
+    const output = settings.output ?? './icons/';
+
+    let svgoConfig = settings.svgoConfig ?? _defaultSVGoSettings;
+    if(typeof svgoConfig === 'string') {
+        svgoConfig = loadSvgoConfig(svgoConfig);
+    }
+
+    if(settings.prune?.onlyUnused === true && settings.usages === undefined) {
+        throw new Error('Prune option \'onlyUnused\' requires the usages option with the globs of the source files');
+    }
+
+    // Custom fetch implementation, optionally wrapped to record or replay the responses
+    const fixtures = fixturesOptions(settings.fixtures);
+    let transport = settings.fetch ?? null;
+    if(fixtures !== false) {
+        transport = createFixturesTransport(transport ?? ((url, options) => fetch(url, options)), fixtures);
+    }
+
+    return {
+        token: settings.oauthToken ?? settings.apiToken,
+        tokenType: settings.oauthToken !== undefined ? 'oauth' : 'personal',
+        apiBase: settings.apiBase,
+        transport: transport,
+        outputDirectory: output + (output.endsWith('/') ? '' : '/'),
+        ignoreSubfolders: settings.ignoreSubfolders ?? false,
+        naming: namingOptions(settings.naming),
+        variants: variantsOptions(settings.variants),
+        filters: filtersOptions(settings.filters),
+
+        fileId: fileId,
+        nodeIds: nodeIds,
+
+        colorMapping: colorMappingOptions(settings.colorMapping),
+        lint: lintOptions(settings.lint),
+
+        monochrome: {
+            colors: settings.monochrome?.colors ?? ['black', '000000'],
+            removeFill: settings.monochrome?.removeFill ?? false,
+            removeStroke: settings.monochrome?.removeStroke ?? false,
+        },
+
+        manifest: manifestOptions(settings.manifest),
+        sprite: spriteOptions(settings.sprite),
+        components: componentsOptions(settings.components),
+        font: fontOptions(settings.font),
+        metadata: metadataOptions(settings.metadata),
+        rasters: rastersOptions(settings.rasters),
+        changeReport: changeReportOptions(settings.changeReport),
+        usages: usagesOptions(settings.usages),
+        prune: pruneOptions(settings.prune),
+
+        network: { ..._defaultNetworkSettings, ...settings.network },
+
+        dryRun: settings.dryRun ?? false,
+        compareContents: settings.compareContents ?? false,
+
+        cli: {
+            enabled: settings.enableConsoleOutput ?? false,
+            quiet: settings.quiet ?? false,
+        },
+
+        svgoConfig: svgoConfig
+    };
+}
@@ -0,0 +1,163 @@
+import fs from 'node:fs';
+
+/**
+ * Present version of the local database schema
+ */
+export const schemaVersion = 2;
+
+/**
+ * Maximum number of history entries kept per icon
+ */
+const historyLimit = 20;
+
+/**
+ * Migrations of the local database schema by the version they upgrade to.
+ * Older databases are upgraded step by step, one version at a time
+ */
+const migrations = {
+    // Version 1 is the list of the icons; version 2 adds the Figma file version, the sync timestamps,
+    // the hashes of the written files and the history of the icons
+    2: (icons) => ({
+        version: 2,
+        fileId: null,
+        fileVersion: null,
+        lastModified: null,
+        createdAt: null,
+        syncedAt: null,
+        icons: icons.map(icon => ({ ...icon, history: [] })),
+    }),
+};
+
+/**
+ * Returns the schema version of the local database
+ * @param {object|object[]} database
+ */
+function detectVersion(database) {
+    if(database instanceof Array) {
+        return 1;
+    }
+    if(typeof database === 'object' && database !== null && Number.isInteger(database.version)) {
+        return database.version;
+    }
+
+    throw new Error('Local database _icons.json has an unknown format');
+}
+
+/**
+ * Reads the local database, upgrading older schemas in memory. The upgraded database is written after the sync
+ * @returns {object|null} database, or null when there is none
+ */
+export function readLocalDb() {
+    let database;
+    if(fs.existsSync(this.localHashesFile)) {
+        try {
+            database = JSON.parse(fs.readFileSync(this.localHashesFile, { encoding: 'utf8' }));
+        } catch(err) {
+            throw new Error(`Local database _icons.json is damaged: ${err.message}`);
+        }
+
+    // In dry run mode the database migrated from a former file isn't written
+    } else if(this.migratedDb !== null) {
+        database = this.migratedDb;
+    } else {
+        return null;
+    }
+
+    let version = detectVersion(database);
+    if(version > schemaVersion) {
+        throw new Error(`Local database _icons.json has schema version ${version}, which is newer than supported (${schemaVersion}). Update figma-icons-sync`);
+    }
+
+    while(version < schemaVersion) {
+        database = migrations[++version](database);
+    }
+
+    return database;
+}
+
+/**
+ * Saves the local database with the version of the synced Figma file and the list of local icons, their hashes and history
+ * @param {object[]} iconsList
+ */
+export function updateLocalIconsDb(iconsList) {
+    const now = new Date().toISOString();
+
+    // Highest codepoint ever assigned, so the codepoints of removed icons are never reused
+    const codepoints = iconsList.map(icon => icon.codepoint).filter(codepoint => codepoint !== undefined);
+    const lastCodepoint = Math.max(this.localDb?.lastCodepoint ?? -1, ...codepoints);
+
+    this.writeFile(this.localHashesFile, JSON.stringify({
+        version: schemaVersion,
+        fileId: this.fileId,
+        fileVersion: this.fileVersion?.version ?? this.localDb?.fileVersion ?? null,
+        lastModified: this.fileVersion?.lastModified ?? this.localDb?.lastModified ?? null,
+        createdAt: this.localDb?.createdAt ?? now,
+        syncedAt: now,
+        lastCodepoint: lastCodepoint >= 0 ? lastCodepoint : null,
+        icons: iconsList,
+    }));
+}
+
+/**
+ * Detects the icons edited by hand since they were written, by comparing the files with the hashes of the written SVGs.
+ * Edits of icons unmodified in Figma are kept, edits of modified icons are overwritten
+ * @param {object} changelog
+ * @returns {string[]} filenames of the edited icons
+ */
+export function detectLocalEdits(changelog) {
+    const edited = [];
+
+    for(const key of ['unmodified', 'modified']) {
+        for(const icon of changelog[key]) {
+            const localName = icon.isRenamed ? icon.renamedFrom : icon.name;
+            const path = this.outputDirectory + this.getIconPath(localName);
+
+            if(icon.svgHash === undefined || !fs.existsSync(path)) { continue; }
+
+            if(this.md5(fs.readFileSync(path)) !== icon.svgHash) {
+                edited.push(this.getIconPath(localName));
+                this.warn('locally-edited', {
+                    name: localName,
+                    isOverwritten: key === 'modified',
+                });
+            }
+        }
+    }
+
+    return edited;
+}
+
+/**
+ * Adds the changes of this sync to the history of the icons: additions, modifications, restorations, renames and removals
+ * with the date and the version of the Figma file
+ * @param {object} changelog
+ */
+export function recordHistory(changelog) {
+    const date = new Date().toISOString();
+    const fileVersion = this.fileVersion?.version ?? null;
+
+    const record = (icon, event, details = {}) => {
+        icon.history = [...(icon.history ?? []), { event, date, fileVersion, ...details }].slice(-historyLimit);
+    };
+    const lastEvent = (icon) => icon.history?.slice(-1)[0]?.event;
+
+    for(const key of ['added', 'modified', 'restored', 'unmodified']) {
+        for(const icon of changelog[key]) {
+            if(key !== 'unmodified') {
+                record(icon, key);
+            } else if(lastEvent(icon) === 'removed') {
+                record(icon, 'restored');
+            }
+
+            if(icon.isRenamed && icon.renamedFrom !== icon.name) {
+                record(icon, 'renamed', { from: icon.renamedFrom, to: icon.name });
+            }
+        }
+    }
+
+    for(const icon of changelog.removed) {
+        if(lastEvent(icon) !== 'removed') {
+            record(icon, 'removed');
+        }
+    }
+}
@@ -0,0 +1,304 @@
+import fs from 'node:fs';
+import { optimize } from 'svgo';
+import { parseSvg } from './utils.js';
+
+const header = 'This file is generated by figma-icons-sync. Do not edit it manually.';
+
+/**
+ * Converts an icon name to a component name, e.g. «socials/facebook» → «IconSocialsFacebook»
+ * @param {string} name
+ * @param {string} prefix
+ */
+export function componentName(name, prefix = 'Icon') {
+    const pascalCase = name
+        .split(/[^a-zA-Z0-9]+/)
+        .filter(word => word !== '')
+        .map(word => word[0].toUpperCase() + word.slice(1))
+        .join('');
+
+    // Identifiers can't start with a digit
+    return /^\d/.test(prefix + pascalCase) ? '_' + prefix + pascalCase : prefix + pascalCase;
+}
+
+/**
+ * Serializes children of an XAST node to markup
+ * @param {object} node
+ * @param {'jsx'|'html'|'svelte'} dialect
+ */
+function serializeChildren(node, dialect) {
+    const escapeText = (text) => {
+        text = text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        return dialect === 'html' ? text : text.replace(/{/g, '&#123;').replace(/}/g, '&#125;');
+    };
+
+    return node.children.map(child => {
+        if(child.type === 'text' || child.type === 'cdata') {
+            return escapeText(child.value);
+        }
+
+        if(child.type !== 'element') {
+            return '';
+        }
+
+        const attributes = serializeAttributes(child.attributes, dialect);
+        return child.children.length > 0
+            ? `<${child.name}${attributes}>${serializeChildren(child, dialect)}</${child.name}>`
+            : `<${child.name}${attributes}/>`;
+    }).join('');
+}
+
+/**
+ * Serializes attributes of an XAST node: JSX requires camelCase names and style objects
+ * @param {object} attributes
+ * @param {'jsx'|'html'|'svelte'} dialect
+ */
+function serializeAttributes(attributes, dialect) {
+    const camelCase = (string) => string.replace(/[-:]([a-z])/g, (match, char) => char.toUpperCase());
+    const escape = (value) => value.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+
+    return Object.entries(attributes).map(([name, value]) => {
+        if(dialect === 'jsx') {
+            if(name === 'style') {
+                const style = value.split(';')
+                    .map(declaration => declaration.split(':').map(part => part.trim()))
+                    .filter(([property, propertyValue]) => property && propertyValue)
+                    .map(([property, propertyValue]) => `${camelCase(property)}: ${JSON.stringify(propertyValue)}`);
+                return ` style={{ ${style.join(', ')} }}`;
+            }
+
+            if(name === 'class') {
+                name = 'className';
+            } else if(!name.startsWith('data-') && !name.startsWith('aria-')) {
+                name = camelCase(name);
+            }
+        } else if(dialect === 'svelte') {
+            value = value.replace(/{/g, '&#123;').replace(/}/g, '&#125;');
+        }
+
+        return ` ${name}="${escape(value)}"`;
+    }).join('');
+}
+
+/**
+ * Prepares the icon for a component: sets the colors of monochrome icons to currentColor
+ * and replaces fixed dimensions with the viewBox
+ * @param {string|Buffer} svg
+ * @param {boolean} isMonochrome
+ * @param {string} idPrefix     Prefix for the internal IDs
+ */
+function prepareSvg(svg, isMonochrome, idPrefix) {
+    // Inline SVGs share the IDs namespace of the page
+    const prefixedSvg = optimize(svg.toString(), {
+        plugins: [{
+            name: 'prefixIds',
+            params: { prefix: idPrefix, delim: '--', prefixClassNames: false },
+        }],
+    }).data;
+
+    const root = parseSvg(prefixedSvg).children.find(node => node.type === 'element' && node.name === 'svg');
+    const { width, height } = root.attributes;
+
+    if(!('viewBox' in root.attributes) && width !== undefined && height !== undefined) {
+        root.attributes.viewBox = `0 0 ${parseFloat(width)} ${parseFloat(height)}`;
+    }
+    delete root.attributes.width;
+    delete root.attributes.height;
+
+    if(isMonochrome) {
+        let isColored = false;
+        const replaceColors = (node) => {
+            for(const attribute of ['fill', 'stroke']) {
+                const value = node.attributes[attribute];
+                if(value !== undefined && value !== 'none' && !value.startsWith('url(')) {
+                    node.attributes[attribute] = 'currentColor';
+                    isColored = true;
+                }
+            }
+            node.children.filter(child => child.type === 'element').forEach(replaceColors);
+        };
+        root.children.filter(child => child.type === 'element').forEach(replaceColors);
+
+        // Fills were removed from the icon: it inherits the color from the root
+        if(!isColored) {
+            root.attributes.fill = 'currentColor';
+        }
+    }
+
+    return {
+        root: root,
+        defaultSize: width !== undefined ? parseFloat(width) : 24,
+    };
+}
+
+/**
+ * Renders the barrel file re-exporting the components and the deprecated aliases
+ * @param {{ components: object[], aliases: object[] }} entries
+ * @param {function} importPath     Converts a component file name to the import path
+ */
+function renderBarrel({ components, aliases }, importPath = (file) => file) {
+    const aliasedComponents = components.filter(({ name }) => aliases.find(alias => alias.name === name) !== undefined);
+
+    return `// ${header}\n` +
+        components.map(({ name, file }) => `export { default as ${name} } from './${importPath(file)}';\n`).join('') +
+        (aliases.length > 0 ? '\n' : '') +
+        aliasedComponents.map(({ name, file }) => `import ${name}Component from './${importPath(file)}';\n`).join('') +
+        aliases.map(({ alias, name }) =>
+            `\n/** @deprecated The icon has been renamed: use ${name} instead */\n` +
+            `export const ${alias} = ${name}Component;\n`
+        ).join('');
+}
+
+/**
+ * Built-in emitters. Each emitter defines the extension of component files,
+ * renders a component from the prepared icon and renders the barrel file
+ */
+export const emitters = {
+    react: {
+        extension: '.tsx',
+        barrelFilename: 'index.ts',
+        component: ({ name, root, isMonochrome, defaultSize }) => {
+            const props = isMonochrome
+                ? '{ size = ' + defaultSize + ', color = \'currentColor\', ...props }: SVGProps<SVGSVGElement> & { size?: number | string; color?: string }'
+                : '{ size = ' + defaultSize + ', ...props }: SVGProps<SVGSVGElement> & { size?: number | string }';
+
+            return `// ${header}\n` +
+                'import type { SVGProps } from \'react\';\n\n' +
+                `export default function ${name}(${props}) {\n` +
+                '    return (\n' +
+                `        <svg${serializeAttributes(root.attributes, 'jsx')} width={size} height={size}${isMonochrome ? ' color={color}' : ''} {...props}>\n` +
+                `            ${serializeChildren(root, 'jsx')}\n` +
+                '        </svg>\n' +
+                '    );\n' +
+                '}\n';
+        },
+        barrel: (entries) => renderBarrel(entries, (file) => file.replace(/\.tsx$/, '')),
+    },
+
+    vue: {
+        extension: '.vue',
+        barrelFilename: 'index.js',
+        component: ({ root, isMonochrome, defaultSize }) => `<!-- ${header} -->\n` +
+            '<script setup>\n' +
+            'defineProps({\n' +
+            `    size: { type: [Number, String], default: ${defaultSize} },\n` +
+            (isMonochrome ? '    color: { type: String, default: \'currentColor\' },\n' : '') +
+            '});\n' +
+            '</script>\n\n' +
+            '<template>\n' +
+            `    <svg${serializeAttributes(root.attributes, 'html')} :width="size" :height="size"${isMonochrome ? ' :color="color"' : ''}>\n` +
+            `        ${serializeChildren(root, 'html')}\n` +
+            '    </svg>\n' +
+            '</template>\n',
+        barrel: (entries) => renderBarrel(entries),
+    },
+
+    svelte: {
+        extension: '.svelte',
+        barrelFilename: 'index.js',
+        component: ({ root, isMonochrome, defaultSize }) => `<!-- ${header} -->\n` +
+            '<script>\n' +
+            `    export let size = ${defaultSize};\n` +
+            (isMonochrome ? '    export let color = \'currentColor\';\n' : '') +
+            '</script>\n\n' +
+            `<svg${serializeAttributes(root.attributes, 'svelte')} width={size} height={size}${isMonochrome ? ' color={color}' : ''} {...$$restProps}>\n` +
+            `    ${serializeChildren(root, 'svelte')}\n` +
+            '</svg>\n',
+        barrel: (entries) => renderBarrel(entries),
+    },
+};
+
+/**
+ * Normalises the components option: accepts an emitter, an object or a list of objects
+ * @param {string|object|object[]} value    e.g. 'react' or [{ emitter: 'vue', output: './src/icons/', prefix: 'Icon' }]
+ * @returns {object[]|false}
+ */
+export function componentsOptions(value) {
+    if(value === false || value === undefined || value === null) {
+        return false;
+    }
+
+    return [value].flat().map((entry) => {
+        const options = typeof entry === 'object' && !('component' in entry) ? { ...entry } : { emitter: entry };
+
+        if(typeof options.emitter === 'string') {
+            if(options.emitter in emitters === false) {
+                throw new Error(`Unknown components emitter '${options.emitter}', expected one of: ${Object.keys(emitters).join(', ')}`);
+            }
+            options.emitter = emitters[options.emitter];
+        }
+
+        const emitter = options.emitter;
+        if(
+            typeof emitter !== 'object' || emitter === null
+            || typeof emitter.component !== 'function' || typeof emitter.barrel !== 'function'
+            || typeof emitter.extension !== 'string' || typeof emitter.barrelFilename !== 'string'
+        ) {
+            throw new Error('Custom components emitter should define extension, barrelFilename, component() and barrel()');
+        }
+
+        if('output' in options) {
+            options.output += options.output.endsWith('/') ? '' : '/';
+        }
+
+        return {
+            emitter: emitter,
+            output: options.output ?? false,
+            prefix: options.prefix ?? 'Icon',
+        };
+    });
+}
+
+/**
+ * Generates framework components for the icons and the barrel file exporting them.
+ * Former names of renamed icons are exported as deprecated aliases
+ * @param {object[]} icons              Icons present in Figma, with contents
+ * @param {boolean} hasChanges          Whether the changelog is non-empty: otherwise only missing files are generated
+ * @param {string[]} updatedNodeIds     Icons downloaded during this sync
+ */
+export function generateComponents(icons, hasChanges, updatedNodeIds) {
+    for(const { emitter, output, prefix } of this.components) {
+        const directory = output !== false ? output : this.outputDirectory + 'components/';
+        const components = [];
+        const aliases = [];
+
+        for(const icon of [...icons].sort((a, b) => a.name.localeCompare(b.name))) {
+            if(icon.svg === undefined) { continue; }
+
+            const name = componentName(icon.name, prefix);
+            const file = name + emitter.extension;
+
+            if(components.find(component => component.name === name) !== undefined) {
+                this.warn('component-name-conflict', { name: icon.name, componentName: name });
+                continue;
+            }
+            components.push({ name, file, icon: icon.name });
+
+            if(updatedNodeIds.includes(icon.nodeId) || !fs.existsSync(directory + file)) {
+                const isMonochrome = icon.isMonochrome === true;
+                const { root, defaultSize } = prepareSvg(icon.svg, isMonochrome, name);
+
+                this.writeFile(directory + file, emitter.component({
+                    name, root, defaultSize, isMonochrome, icon: icon.name, svg: icon.svg.toString()
+                }));
+            }
+        }
+
+        // Aliases for the former names of renamed icons
+        for(const icon of icons) {
+            for(const previousName of icon.previousNames ?? []) {
+                const alias = componentName(previousName, prefix);
+                const target = components.find(component => component.icon === icon.name);
+                const isTaken = components.find(({ name }) => name === alias) !== undefined
+                    || aliases.find(entry => entry.alias === alias) !== undefined;
+
+                if(target !== undefined && !isTaken) {
+                    aliases.push({ alias, name: target.name, file: target.file });
+                }
+            }
+        }
+
+        if(hasChanges || !fs.existsSync(directory + emitter.barrelFilename)) {
+            this.writeFile(directory + emitter.barrelFilename, emitter.barrel({ components, aliases }));
+        }
+    }
+}
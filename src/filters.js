@@ -0,0 +1,120 @@
+import picomatch from 'picomatch';
+
+/**
+ * Normalises the filters option. Regular expressions may be passed as strings, e.g. from a JSON config
+ * @param {object} value    e.g. { include: ['ui/**'], exclude: ['**\/*-old'], excludeFrames: 'Archive|Drafts', excludeMarkers: ['#wip'] }
+ * @returns {object|false}
+ */
+export function filtersOptions(value) {
+    if(value === false || value === undefined || value === null) {
+        return false;
+    }
+
+    if(typeof value !== 'object' || value instanceof Array) {
+        throw new Error('Filters option should be an object');
+    }
+
+    const unknownKey = Object.keys(value).find(key =>
+        ['include', 'exclude', 'includeFrames', 'excludeFrames', 'excludeMarkers'].includes(key) === false
+    );
+    if(unknownKey !== undefined) {
+        throw new Error(`Unknown filter '${unknownKey}', expected include, exclude, includeFrames, excludeFrames or excludeMarkers`);
+    }
+
+    const globs = (key) => {
+        const list = [value[key] ?? []].flat();
+        if(list.some(glob => typeof glob !== 'string')) {
+            throw new Error(`Filter '${key}' should be a glob or a list of globs`);
+        }
+        return list.length > 0 ? picomatch(list) : null;
+    };
+
+    const regex = (key) => {
+        if(value[key] === undefined || value[key] === null) {
+            return null;
+        }
+        if(value[key] instanceof RegExp) {
+            return value[key];
+        }
+        if(typeof value[key] !== 'string') {
+            throw new Error(`Filter '${key}' should be a regular expression`);
+        }
+        try {
+            return new RegExp(value[key]);
+        } catch(err) {
+            throw new Error(`Filter '${key}' isn't a valid regular expression: ${err.message}`);
+        }
+    };
+
+    const markers = [value.excludeMarkers ?? []].flat();
+    if(markers.some(marker => typeof marker !== 'string' || marker === '')) {
+        throw new Error('Filter \'excludeMarkers\' should be a list of non-empty strings, e.g. [\'#wip\', \'#deprecated\']');
+    }
+
+    return {
+        include: globs('include'),
+        exclude: globs('exclude'),
+        includeFrames: regex('includeFrames'),
+        excludeFrames: regex('excludeFrames'),
+        excludeMarkers: markers.map(marker => marker.toLowerCase()),
+    };
+}
+
+/**
+ * Splits the icons found in Figma into exported and skipped by the filters and the variants filter.
+ * Frame filters are matched against the names of the pages and frames above the component;
+ * markers are looked up in the descriptions of the component and its set
+ * @param {object[]} iconsList      Icons with the path of the frames and the variant properties
+ * @returns {{ included: object[], skipped: object[] }} skipped icons have the reason of skipping
+ */
+export function filterIcons(iconsList) {
+    const filters = this.filters;
+    const included = [];
+    const skipped = [];
+
+    const skipReason = (icon) => {
+        if(icon.variant !== undefined && !this.isVariantIncluded(icon.variant, icon.set)) {
+            return 'variant';
+        }
+
+        if(filters === false) {
+            return null;
+        }
+
+        if(filters.include !== null && !filters.include(icon.name)) {
+            return 'include';
+        }
+        if(filters.exclude !== null && filters.exclude(icon.name)) {
+            return 'exclude';
+        }
+        if(filters.includeFrames !== null && !icon.framePath.some(frame => filters.includeFrames.test(frame))) {
+            return 'includeFrames';
+        }
+        if(filters.excludeFrames !== null && icon.framePath.some(frame => filters.excludeFrames.test(frame))) {
+            return 'excludeFrames';
+        }
+
+        const metadata = this.componentsMetadata[icon.nodeId];
+        const descriptions = [
+            metadata?.description,
+            metadata?.componentSetId !== undefined ? this.componentSetsMetadata[metadata.componentSetId]?.description : undefined,
+        ].filter(description => typeof description === 'string').map(description => description.toLowerCase());
+
+        if(filters.excludeMarkers.some(marker => descriptions.some(description => description.includes(marker)))) {
+            return 'excludeMarkers';
+        }
+
+        return null;
+    };
+
+    for(const icon of iconsList) {
+        const reason = skipReason(icon);
+        if(reason === null) {
+            included.push(icon);
+        } else {
+            skipped.push({ ...icon, skipReason: reason });
+        }
+    }
+
+    return { included, skipped };
+}
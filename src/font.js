@@ -0,0 +1,147 @@
+import fs from 'node:fs';
+import { Readable } from 'node:stream';
+import SVGIcons2SVGFontStream from 'svgicons2svgfont';
+import svg2ttf from 'svg2ttf';
+import wawoff2 from 'wawoff2';
+
+/**
+ * First codepoint of the Private Use Area
+ */
+const defaultStartCodepoint = 0xE000;
+
+/**
+ * Normalises the font option
+ * @param {boolean|object} value    e.g. true or { name: 'icons', formats: ['woff2'], output: './fonts/', classPrefix: 'icon-' }
+ * @returns {object|false}
+ */
+export function fontOptions(value) {
+    if(value === false || value === undefined || value === null) {
+        return false;
+    }
+
+    if(value !== true && typeof value !== 'object') {
+        throw new Error('Font option should be a boolean or an object');
+    }
+
+    const options = {
+        name: 'icons',
+        formats: ['ttf', 'woff2'],
+        output: false,
+        classPrefix: 'icon-',
+        startCodepoint: defaultStartCodepoint,
+        ...(typeof value === 'object' ? value : {}),
+    };
+
+    options.formats = [options.formats].flat();
+    const unknownFormat = options.formats.find((format) => ['ttf', 'woff2'].includes(format) === false);
+    if(unknownFormat !== undefined) {
+        throw new Error(`Unknown font format '${unknownFormat}', expected ttf or woff2`);
+    }
+
+    if(options.output !== false) {
+        options.output += options.output.endsWith('/') ? '' : '/';
+    }
+
+    return options;
+}
+
+/**
+ * Converts monochrome icons to an SVG font
+ * @param {object[]} glyphs     List of { name, codepoint, svg }
+ * @param {string} fontName
+ */
+function buildSvgFont(glyphs, fontName) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        const fontStream = new SVGIcons2SVGFontStream({
+            fontName: fontName,
+            fontHeight: 1000,
+            normalize: true,
+            log: () => {},
+        });
+
+        fontStream
+            .on('data', (chunk) => chunks.push(chunk))
+            .on('end', () => resolve(Buffer.concat(chunks).toString()))
+            .on('error', reject);
+
+        for(const glyph of glyphs) {
+            const glyphStream = Readable.from([glyph.svg.toString()]);
+            glyphStream.metadata = {
+                name: glyph.name,
+                unicode: [String.fromCodePoint(glyph.codepoint)],
+            };
+            fontStream.write(glyphStream);
+        }
+
+        fontStream.end();
+    });
+}
+
+/**
+ * Compiles monochrome icons into an icon font with a CSS file.
+ * Codepoints are assigned once and stored in the local database, so they stay stable across renames
+ * @param {object[]} icons          Icons present in Figma, with contents
+ * @param {boolean} hasChanges      Whether the changelog is non-empty: otherwise only missing files are generated
+ * @param {object[]} knownIcons     All icons stored in the local database, including removed ones
+ */
+export async function generateFont(icons, hasChanges, knownIcons) {
+    const { name, formats, output, classPrefix, startCodepoint } = this.font;
+    const directory = output !== false ? output : this.outputDirectory + 'font/';
+
+    const files = [...formats.map(format => `${name}.${format}`), `${name}.css`];
+    if(!hasChanges && files.every(file => fs.existsSync(directory + file))) {
+        return;
+    }
+
+    const glyphs = icons
+        .filter(icon => icon.svg !== undefined && icon.isMonochrome === true)
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+    // Assigning codepoints to the new icons, never reusing those of removed icons
+    let lastCodepoint = Math.max(startCodepoint - 1, this.localDb?.lastCodepoint ?? -1, ...knownIcons.map(icon => icon.codepoint ?? -1));
+    for(const icon of glyphs) {
+        if(icon.codepoint === undefined) {
+            icon.codepoint = ++lastCodepoint;
+        }
+    }
+
+    const fontGlyphs = glyphs.map(icon => ({
+        name: icon.name.split('/').join('-'),
+        codepoint: icon.codepoint,
+        svg: icon.svg,
+    }));
+
+    const ttf = Buffer.from(svg2ttf(await buildSvgFont(fontGlyphs, name), {}).buffer);
+    const sources = [];
+
+    if(formats.includes('woff2')) {
+        this.writeFile(directory + name + '.woff2', Buffer.from(await wawoff2.compress(ttf)));
+        sources.push(`url("./${name}.woff2") format("woff2")`);
+    }
+
+    if(formats.includes('ttf')) {
+        this.writeFile(directory + name + '.ttf', ttf);
+        sources.push(`url("./${name}.ttf") format("truetype")`);
+    }
+
+    const css = '/* This file is generated by figma-icons-sync. Do not edit it manually. */\n\n' +
+        '@font-face {\n' +
+        `    font-family: "${name}";\n` +
+        `    src: ${sources.join(',\n        ')};\n` +
+        '    font-display: block;\n' +
+        '}\n\n' +
+        `[class^="${classPrefix}"], [class*=" ${classPrefix}"] {\n` +
+        `    font-family: "${name}" !important;\n` +
+        '    font-style: normal;\n' +
+        '    font-weight: normal;\n' +
+        '    line-height: 1;\n' +
+        '    -webkit-font-smoothing: antialiased;\n' +
+        '    -moz-osx-font-smoothing: grayscale;\n' +
+        '}\n' +
+        fontGlyphs.map(glyph =>
+            `\n.${classPrefix}${glyph.name}::before {\n    content: "\\${glyph.codepoint.toString(16)}";\n}\n`
+        ).join('');
+
+    this.writeFile(directory + name + '.css', css);
+}
@@ -1,58 +1,83 @@
-import { extractFileIdsFromUrl, _defaultSVGoSettings, checkRequirements } from './utils.js';
+import { checkRequirements } from './utils.js';
+import { resolveTargets, buildOptions } from './config.js';
 import FigmaSync from './sync.js';
+import { watchTargets } from './watch.js';
+import { serveTargets } from './server.js';
 
+/**
+ * Syncs the icons
+ * 
+ * Either sync(figmaLink, config, forceReload) for a single target, where figmaLink is a link or a list of links,
+ * or sync(config, forceReload) for a config with the list of targets
+ */
 export const sync = async (figmaLink, config, forceReload = false) => {
     checkRequirements();
 
+    // Config with the list of targets, the same as in icons-sync.config.json
+    if(typeof figmaLink === 'object' && figmaLink !== null && figmaLink instanceof Array === false) {
+        return syncTargets(resolveTargets(figmaLink), config === true);
+    }
+
     if(typeof config !== 'object') {
         throw new Error('Config should be an object');
     }
 
-    const conf = (key, strict = true, fallback = false) => {
-        if(strict === true && key in config === false) {
-            throw new Error(`Required key '${key}' is not present in the config`);
-        }
-
-        const keys = key.split('.');
-        const value = keys.reduce((acc, k) => {
-            return acc !== -Infinity && k in acc ? acc[k] : -Infinity; 
-        }, config);
+    // Problems of the config are reported as warnings, so the configs accepted by the former versions keep working
+    const warnings = [];
+    const [target] = resolveTargets({ ...config, figmaLink: figmaLink }, {}, warnings);
+    const syncer = new FigmaSync(buildOptions(target));
+    for(const message of warnings) {
+        syncer.warn('invalid-config', { message });
+    }
 
-        return value !== -Infinity && (strict || typeof value === typeof fallback) ? value : fallback; 
-        
-    };
+    return syncer.extractIcons(forceReload);
+}
 
-    const { fileId, nodeId } = extractFileIdsFromUrl(figmaLink);
+/**
+ * Syncs the targets one by one
+ * @param {object[]} targets    Targets resolved from the config
+ * @param {boolean} forceReload
+ * @returns {object[]} sync status of every target
+ */
+export const syncTargets = async (targets, forceReload = false) => {
+    const results = [];
 
-    const outputDirectory = conf('output', false, './icons/');
-    const options = {
-        token: conf('apiToken'),
-        outputDirectory: outputDirectory + (outputDirectory.endsWith('/') ? '' : '/'),
-        ignoreSubfolders: conf('ignoreSubfolders', false, false),
+    for(const target of targets) {
+        const name = target.name ?? [target.figmaLink].flat().join(', ');
+        const syncer = new FigmaSync(buildOptions(target));
+        if(targets.length > 1) {
+            syncer.report('\n' + name.bold);
+        }
 
-        fileId: fileId,
-        nodeId: nodeId,
+        results.push({
+            target: name,
+            ...(await syncer.extractIcons(forceReload))
+        });
+    }
 
-        monochrome: {
-            colors: conf('monochrome.colors', false, ['black', '000000']),
-            removeFill: conf('monochrome.removeFill', false, false),
-            removeStroke: conf('monochrome.removeStroke', false, false),
-        },
+    return results;
+}
 
-        cli: {
-            enabled: conf('enableConsoleOutput', false, false),
-        },
+/**
+ * Keeps the icons in sync: polls Figma and syncs the targets of the config when their files change
+ * @param {object} config       Config with the list of targets, the same as in icons-sync.config.json
+ * @param {object} options      { interval, hook, forceReload, onSync, onError }
+ * @returns {{ stop: function }}
+ */
+export const watch = (config, options = {}) => {
+    checkRequirements();
 
-        svgoConfig: conf('svgoConfig', false, _defaultSVGoSettings)
-    };
+    return watchTargets(resolveTargets(config), options);
+}
 
-    const syncer = new FigmaSync(options);
+/**
+ * Starts the server receiving Figma webhooks and syncing the targets of the config when their files are updated
+ * @param {object} config       Config with the list of targets, the same as in icons-sync.config.json
+ * @param {object} options      { passcode, port, host, debounce, hook, onSync, onError }
+ * @returns {{ server: http.Server, close: function }}
+ */
+export const serve = (config, options = {}) => {
+    checkRequirements();
 
-    return new Promise(async (resolve, reject) => {
-        try {
-            resolve(await syncer.extractIcons(forceReload));
-        } catch(err) {
-            reject(err);
-        }
-    });
-}
\ No newline at end of file
+    return serveTargets(resolveTargets(config), options);
+}
@@ -0,0 +1,209 @@
+import { parseSvg } from './utils.js';
+
+/**
+ * Severity levels: warnings are reported, errors also block the icon from being saved
+ */
+const severities = ['off', 'warn', 'error'];
+
+/**
+ * Rules enabled with «lint: true»
+ */
+const recommendedRules = {
+    'no-image': 'error',
+    'no-text': 'warn',
+    'outlined-strokes': 'warn',
+};
+
+/**
+ * Shape elements of the SVG counted by the max-paths rule
+ */
+const shapeElements = ['path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon'];
+
+/**
+ * Lists the visible nodes of a component in Figma, including the component itself
+ * @param {object|null} node
+ * @returns {object[]}
+ */
+function visibleNodes(node) {
+    if(node === null || node.visible === false) {
+        return [];
+    }
+    return [node, ...(node.children ?? []).flatMap(visibleNodes)];
+}
+
+/**
+ * Lists the elements of the SVG
+ * @param {object} root    Parsed SVG
+ * @returns {object[]}
+ */
+function svgElements(root) {
+    return root.children
+        .filter(child => child.type === 'element')
+        .flatMap(child => [child, ...svgElements(child)]);
+}
+
+/**
+ * Lint rules: the default options and the check returning the description of the problem or null.
+ * Checks receive the icon, its component node from Figma and the elements of the cleaned SVG
+ */
+const rules = {
+    'allowed-sizes': {
+        defaults: { sizes: [] },
+        validate: ({ sizes }) => sizes instanceof Array && sizes.length > 0
+            && sizes.every(size => typeof size === 'number' || /^\d+(\.\d+)?x\d+(\.\d+)?$/.test(size)),
+        usage: 'a list of sizes, e.g. { sizes: [16, 24, \'32x24\'] }',
+        check: ({ node }, { sizes }) => {
+            const box = node?.absoluteBoundingBox;
+            if(box === undefined || box === null) {
+                return null;
+            }
+
+            const width = Math.round(box.width * 100) / 100;
+            const height = Math.round(box.height * 100) / 100;
+            const isAllowed = sizes.some(size => typeof size === 'number'
+                ? width === size && height === size
+                : size === `${width}x${height}`
+            );
+            return isAllowed ? null : `the size ${width}x${height} isn't allowed, expected ${sizes.join(', ')}`;
+        },
+    },
+    'max-paths': {
+        defaults: { max: 50 },
+        validate: ({ max }) => typeof max === 'number' && max > 0,
+        usage: 'a positive maximum, e.g. { max: 20 }',
+        check: ({ elements }, { max }) => {
+            const count = elements.filter(element => shapeElements.includes(element.name)).length;
+            return count > max ? `${count} paths and shapes, the maximum is ${max}` : null;
+        },
+    },
+    'max-bytes': {
+        defaults: { max: 10240 },
+        validate: ({ max }) => typeof max === 'number' && max > 0,
+        usage: 'a positive maximum, e.g. { max: 4096 }',
+        check: ({ icon }, { max }) => {
+            const size = Buffer.byteLength(icon.svg.toString());
+            return size > max ? `${size} bytes, the maximum is ${max}` : null;
+        },
+    },
+    'no-image': {
+        check: ({ node, elements }) => {
+            const hasImage = elements.some(element => element.name === 'image')
+                || visibleNodes(node).some(child => (child.fills ?? []).some(paint => paint.type === 'IMAGE' && paint.visible !== false));
+            return hasImage ? 'raster images are embedded' : null;
+        },
+    },
+    'no-text': {
+        check: ({ node, elements }) => {
+            const hasText = elements.some(element => element.name === 'text')
+                || visibleNodes(node).some(child => child.type === 'TEXT');
+            return hasText ? 'text layers should be converted to outlines' : null;
+        },
+    },
+    'outlined-strokes': {
+        check: ({ node, elements }) => {
+            const hasStrokes = elements.some(element => {
+                const stroke = element.attributes.stroke
+                    ?? element.attributes.style?.match(/(?:^|;)\s*stroke\s*:\s*([^;]+)/)?.[1];
+                return stroke !== undefined && stroke.trim() !== 'none';
+            }) || visibleNodes(node).some(child => child.strokeWeight !== 0
+                && (child.strokes ?? []).some(paint => paint.visible !== false)
+            );
+            return hasStrokes ? 'strokes should be outlined' : null;
+        },
+    },
+    'naming-pattern': {
+        defaults: { pattern: null },
+        validate: ({ pattern }) => pattern instanceof RegExp,
+        usage: 'a regular expression, e.g. { pattern: \'^[a-z0-9-/]+$\' }',
+        check: ({ icon }, { pattern }) => pattern.test(icon.name) ? null : `the name doesn't match ${pattern}`,
+    },
+};
+
+/**
+ * Normalises the lint option
+ * @param {boolean|object} value    e.g. true or { 'no-image': 'error', 'max-bytes': { severity: 'warn', max: 4096 } }
+ * @returns {{ rule: string, severity: string, options: object }[]|false}
+ */
+export function lintOptions(value) {
+    if(value === false || value === undefined || value === null) {
+        return false;
+    }
+
+    if(value === true) {
+        value = recommendedRules;
+    }
+
+    if(typeof value !== 'object' || value instanceof Array) {
+        throw new Error('Lint option should be a boolean or an object with the rules');
+    }
+
+    const enabledRules = [];
+    for(const [rule, setting] of Object.entries(value)) {
+        if(rule in rules === false) {
+            throw new Error(`Unknown lint rule '${rule}', expected one of: ${Object.keys(rules).join(', ')}`);
+        }
+
+        const { severity = 'warn', ...options } = typeof setting === 'string' ? { severity: setting } : (setting ?? {});
+        if(severities.includes(severity) === false) {
+            throw new Error(`Severity of the lint rule '${rule}' should be one of: ${severities.join(', ')}`);
+        }
+        if(severity === 'off') {
+            continue;
+        }
+
+        const ruleOptions = { ...rules[rule].defaults, ...options };
+        if(typeof ruleOptions.pattern === 'string') {
+            try {
+                ruleOptions.pattern = new RegExp(ruleOptions.pattern);
+            } catch(err) {
+                throw new Error(`Pattern of the lint rule '${rule}' isn't a valid regular expression: ${err.message}`);
+            }
+        }
+        if(rules[rule].validate !== undefined && !rules[rule].validate(ruleOptions)) {
+            throw new Error(`Lint rule '${rule}' requires ${rules[rule].usage}`);
+        }
+
+        enabledRules.push({ rule, severity, options: ruleOptions });
+    }
+
+    return enabledRules;
+}
+
+/**
+ * Checks the downloaded icons against the lint rules, both the component nodes from Figma and the cleaned SVGs.
+ * Problems are reported as warnings; icons breaking the rules with the error severity are marked as blocked
+ * and aren't saved
+ * @param {object[]} icons      Downloaded icons
+ * @returns {{ errors: number, warnings: number, blocked: string[], problems: object[] }} summary for the sync result
+ */
+export function lintIcons(icons) {
+    const problems = [];
+
+    for(const icon of icons) {
+        const context = {
+            icon: icon,
+            node: this.componentNodes[icon.nodeId] ?? null,
+            elements: svgElements(parseSvg(icon.svg)),
+        };
+
+        for(const { rule, severity, options } of this.lint) {
+            const message = rules[rule].check(context, options);
+            if(message !== null) {
+                problems.push({ name: icon.name, rule, severity, message });
+            }
+        }
+
+        icon.isBlocked = problems.some(problem => problem.name === icon.name && problem.severity === 'error');
+    }
+
+    for(const problem of problems) {
+        this.warn(problem.severity === 'error' ? 'lint-error' : 'lint-warning', problem);
+    }
+
+    return {
+        errors: problems.filter(({ severity }) => severity === 'error').length,
+        warnings: problems.filter(({ severity }) => severity === 'warn').length,
+        blocked: icons.filter(icon => icon.isBlocked).map(icon => icon.name + '.svg'),
+        problems: problems.map(problem => ({ ...problem, name: problem.name + '.svg' })),
+    };
+}
@@ -0,0 +1,103 @@
+import fs from 'node:fs';
+import { setKey } from './naming.js';
+
+/**
+ * Extensions of the generated manifest files by format
+ */
+const manifestFormats = {
+    ts: '.ts',
+    esm: '.js',
+    cjs: '.cjs',
+    dts: '.d.ts',
+};
+
+/**
+ * Normalises the manifest option: accepts a format, a list of formats or an object
+ * @param {string|string[]|object|boolean} value     e.g. 'ts', ['esm', 'dts'] or { format: 'cjs', filename: 'icons' }
+ * @returns {{ formats: string[], filename: string }|false}
+ */
+export function manifestOptions(value) {
+    if(value === false || value === undefined || value === null) {
+        return false;
+    }
+
+    const options = {
+        formats: ['ts'],
+        filename: 'index',
+    };
+
+    if(typeof value === 'string' || value instanceof Array) {
+        options.formats = [value].flat();
+    } else if(typeof value === 'object') {
+        if('format' in value) options.formats = [value.format].flat();
+        if('filename' in value) options.filename = value.filename;
+    } else if(value !== true) {
+        throw new Error('Manifest option should be a format, a list of formats or an object');
+    }
+
+    const unknownFormat = options.formats.find((format) => format in manifestFormats === false);
+    if(unknownFormat !== undefined) {
+        throw new Error(`Unknown manifest format '${unknownFormat}', expected one of: ${Object.keys(manifestFormats).join(', ')}`);
+    }
+
+    return options;
+}
+
+/**
+ * Generates the manifest module with the list of icon names and paths
+ * @param {object[]} icons          Icons present in Figma
+ * @param {boolean} hasChanges      Whether the changelog is non-empty: otherwise only missing files are generated
+ */
+export function generateManifest(icons, hasChanges) {
+    const quote = (string) => `'${string.replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}'`;
+
+    const names = icons.map(icon => icon.name).sort();
+
+    // Variants are grouped by the component set they belong to, whatever the naming
+    const sets = icons
+        .filter(icon => 'set' in icon)
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .reduce((acc, icon) => {
+            const setName = setKey(icon.set);
+            acc[setName] = [...(acc[setName] ?? []), icon.name];
+            return acc;
+        }, {});
+
+    const iconNameType = names.length > 0 ? names.map(name => `\n    | ${quote(name)}`).join('') : ' never';
+    const iconsMap = names.map(name => `    ${quote(name)}: ${quote('./' + this.getIconPath(name))},`).join('\n');
+    const setsMap = Object.keys(sets).map(setName =>
+        `    ${quote(setName)}: [${sets[setName].map(quote).join(', ')}],`
+    ).join('\n');
+
+    const header = '// This file is generated by figma-icons-sync. Do not edit it manually.\n\n';
+    const templates = {
+        ts: () => header +
+            `export type IconName =${iconNameType};\n\n` +
+            `export const icons: Record<IconName, string> = {\n${iconsMap}\n};\n\n` +
+            `export const iconSets = {\n${setsMap}\n} as const;\n\n` +
+            'export type IconSetName = keyof typeof iconSets;\n',
+
+        esm: () => header +
+            `export const icons = {\n${iconsMap}\n};\n\n` +
+            `export const iconSets = {\n${setsMap}\n};\n`,
+
+        cjs: () => header +
+            `exports.icons = {\n${iconsMap}\n};\n\n` +
+            `exports.iconSets = {\n${setsMap}\n};\n`,
+
+        dts: () => header +
+            `export type IconName =${iconNameType};\n\n` +
+            'export declare const icons: Record<IconName, string>;\n\n' +
+            `export declare const iconSets: {\n${Object.keys(sets).map(setName =>
+                `    readonly ${quote(setName)}: readonly [${sets[setName].map(quote).join(', ')}];`
+            ).join('\n')}\n};\n\n` +
+            'export type IconSetName = keyof typeof iconSets;\n',
+    };
+
+    for(const format of this.manifest.formats) {
+        const path = this.outputDirectory + this.manifest.filename + manifestFormats[format];
+        if(hasChanges || !fs.existsSync(path)) {
+            this.writeFile(path, templates[format]());
+        }
+    }
+}
@@ -0,0 +1,98 @@
+import fs from 'node:fs';
+
+/**
+ * Normalises the metadata option
+ * @param {boolean|string|object} value     e.g. true, 'icons.meta.json' or { filename: 'icons.meta.json' }
+ * @returns {{ filename: string }|false}
+ */
+export function metadataOptions(value) {
+    if(value === false || value === undefined || value === null) {
+        return false;
+    }
+
+    const options = {
+        filename: 'metadata.json',
+    };
+
+    if(typeof value === 'string') {
+        options.filename = value;
+    } else if(typeof value === 'object') {
+        if('filename' in value) options.filename = value.filename;
+    } else if(value !== true) {
+        throw new Error('Metadata option should be a boolean, a filename or an object');
+    }
+
+    if(typeof options.filename !== 'string' || options.filename === '') {
+        throw new Error('Metadata option requires a non-empty filename');
+    }
+
+    return options;
+}
+
+/**
+ * Extracts the keywords from a component description: the list after «Keywords:» or «Tags:»
+ * and the hashtags, e.g. «Arrow pointing back. Keywords: previous, return #navigation»
+ * @param {string} description
+ * @returns {string[]}
+ */
+export function parseKeywords(description) {
+    const keywords = [];
+
+    for(const [, list] of description.matchAll(/(?:keywords|tags)\s*:\s*([^\n]*)/gi)) {
+        keywords.push(...list.replace(/#[\p{L}\p{N}_-]+/gu, '').split(/[,;]/));
+    }
+    for(const [, hashtag] of description.matchAll(/#([\p{L}\p{N}_-]+)/gu)) {
+        keywords.push(hashtag);
+    }
+
+    return keywords
+        .map(keyword => keyword.trim().toLowerCase())
+        .filter((keyword, index, array) => keyword !== '' && array.indexOf(keyword) === index);
+}
+
+/**
+ * Generates metadata.json with the description, the keywords, the documentation links, the component key,
+ * the dimensions, the frame path, the monochrome flag and the color type of every icon.
+ * Descriptions change without changing the icons, so the metadata is refreshed on every sync
+ * @param {object[]} icons          Icons present in Figma, as stored in the local database
+ * @param {object[]} foundIcons     Icons found in Figma during this sync, with the frame path and the dimensions
+ * @returns {object[]} metadata of the icons
+ */
+export function generateMetadata(icons, foundIcons) {
+    const metadata = icons
+        .map(icon => {
+            const found = foundIcons.find(({ nodeId }) => nodeId === icon.nodeId);
+            const component = this.componentsMetadata[icon.nodeId] ?? {};
+            const componentSet = component.componentSetId !== undefined
+                ? (this.componentSetsMetadata[component.componentSetId] ?? {})
+                : {};
+            const description = component.description || componentSet.description || '';
+
+            return {
+                name: icon.name,
+                file: this.getIconPath(icon.name),
+                nodeId: icon.nodeId,
+                componentKey: component.key ?? null,
+                description: description,
+                keywords: parseKeywords(description),
+                documentationLinks: [...(component.documentationLinks ?? []), ...(componentSet.documentationLinks ?? [])]
+                    .map(({ uri }) => uri),
+                width: found?.size?.width ?? null,
+                height: found?.size?.height ?? null,
+                framePath: found?.framePath ?? [],
+                isMonochrome: icon.isMonochrome ?? null,
+                colorType: icon.colorType ?? null,
+                ...('variant' in icon ? { set: icon.set, variant: icon.variant } : {}),
+            };
+        })
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+    // Keeping the file untouched when nothing has changed
+    const path = this.outputDirectory + this.metadata.filename;
+    const contents = JSON.stringify(metadata, null, 2) + '\n';
+    if(!fs.existsSync(path) || fs.readFileSync(path, { encoding: 'utf8' }) !== contents) {
+        this.writeFile(path, contents);
+    }
+
+    return metadata;
+}
@@ -0,0 +1,168 @@
+import { slugify, transliterate } from 'transliteration';
+
+/**
+ * Converters of the words of a name to the supported cases
+ */
+const cases = {
+    kebab: (words) => words.map(word => word.toLowerCase()).join('-'),
+    snake: (words) => words.map(word => word.toLowerCase()).join('_'),
+    camel: (words) => words.map((word, index) => index === 0 ? word.toLowerCase() : capitalize(word)).join(''),
+    pascal: (words) => words.map(word => capitalize(word)).join(''),
+};
+
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase();
+
+/**
+ * Normalises the naming option
+ * @param {string|function|object} value    e.g. 'icon-{size}-{name}', (info) => info.name or { template: '{set}/{component}', case: 'camel' }
+ * @returns {{ template: string|null, callback: function|null, case: string }|false}
+ */
+export function namingOptions(value) {
+    if(value === false || value === undefined || value === null) {
+        return false;
+    }
+
+    const options = {
+        template: null,
+        callback: null,
+        case: 'kebab',
+    };
+
+    if(typeof value === 'string') {
+        options.template = value;
+    } else if(typeof value === 'function') {
+        options.callback = value;
+    } else if(typeof value === 'object') {
+        if('template' in value) options.template = value.template;
+        if('case' in value) options.case = value.case;
+    } else {
+        throw new Error('Naming option should be a template, a function or an object');
+    }
+
+    if(options.callback === null && (typeof options.template !== 'string' || options.template.trim() === '')) {
+        throw new Error('Naming option requires a non-empty template, e.g. \'icon-{size}-{name}\'');
+    }
+
+    if(options.case in cases === false) {
+        throw new Error(`Unknown naming case '${options.case}', expected one of: ${Object.keys(cases).join(', ')}`);
+    }
+
+    return options;
+}
+
+/**
+ * Parses the name of a variant, e.g. «Size=24, Style=Filled» → { Size: '24', Style: 'Filled' }
+ * @param {string} name
+ */
+export function parseVariantName(name) {
+    return Object.fromEntries(name
+        .split(',')
+        .map(property => property.split('=').map(part => part.trim()))
+        .filter(([key, value]) => key !== '' && value !== undefined)
+    );
+}
+
+/**
+ * Default naming: lowercased and transliterated, spaces replaced with dashes,
+ * variants of component sets joined as «set__property_value»
+ * @param {object} info
+ */
+function defaultName({ name, setName }) {
+    const slugifyConfig = {
+        ignore: ['/']
+    };
+    const slug = (string) => slugify(string.toLowerCase().replace(/\s/g, '-'), slugifyConfig);
+
+    return setName === null
+        ? slug(name)
+        : `${slug(setName)}__${slugify(slug(name).toLowerCase().replace(/=/g, '_'), slugifyConfig)}`;
+}
+
+/**
+ * Returns the key of a component set in the generated files: the name of the set with the default naming,
+ * e.g. «star» for the set «Star»
+ * @param {string} setName
+ */
+export function setKey(setName) {
+    return defaultName({ name: setName, setName: null });
+}
+
+/**
+ * Converts a segment of the name to the case
+ * @param {string} segment
+ * @param {string} caseName
+ */
+function convertCase(segment, caseName) {
+    return cases[caseName](
+        transliterate(segment)
+            .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+            .split(/[^a-zA-Z0-9]+/)
+            .filter(word => word !== '')
+    );
+}
+
+/**
+ * Fills the template with the parts of the component name and converts every segment of the result to the case.
+ * Placeholders without a value are removed together with the adjacent separator
+ * @param {string} template
+ * @param {string} caseName
+ * @param {object} info
+ */
+function applyTemplate(template, caseName, { name, setName, variant, framePath }) {
+    const baseName = (setName ?? name).split('/');
+    const values = {
+        name: baseName.pop(),
+        folder: baseName.join('/'),
+        component: name,
+        set: setName ?? '',
+        variant: Object.entries(variant ?? {}).map(([key, value]) => `${key} ${value}`).join(' '),
+        frame: framePath.slice(-1)[0] ?? '',
+        path: framePath.join('/'),
+    };
+    const properties = Object.fromEntries(Object.entries(variant ?? {}).map(([key, value]) => [key.toLowerCase(), value]));
+
+    return template
+        .replace(/{([^{}]+)}/g, (match, key) => {
+            const value = key in values ? values[key] : (properties[key.toLowerCase()] ?? '');
+            return value !== '' ? value : '\0';
+        })
+        .split('/')
+        .map(segment => convertCase(segment.replace(/[-_\s]?\0/g, ''), caseName))
+        .filter(segment => segment !== '')
+        .join('/');
+}
+
+/**
+ * Names an icon according to the naming strategy: the template, the callback or the default naming
+ * @param {object} info     { name, setName, variant, framePath, nodeId } of the component
+ * @returns {string}
+ */
+export function iconName(info) {
+    const fallback = defaultName(info);
+    if(this.naming === false || this.naming === undefined) {
+        return fallback;
+    }
+
+    const name = this.naming.callback !== null
+        ? this.naming.callback({
+            name: info.name,
+            setName: info.setName,
+            variant: info.variant,
+            framePath: info.framePath,
+            defaultName: fallback,
+        })
+        : applyTemplate(this.naming.template, this.naming.case, info);
+
+    if(
+        typeof name !== 'string' || name === ''
+        || name.split('/').some(segment => ['', '.', '..'].includes(segment))
+        || /[\\<>:"|?*\0]/.test(name)
+    ) {
+        throw new Error(
+            `Invalid name ${JSON.stringify(name)} of the icon '${info.setName !== null ? info.setName + ', ' : ''}${info.name}' (node ${info.nodeId}): ` +
+            'expected a non-empty file name without the extension, subfolders separated by slashes'
+        );
+    }
+
+    return name;
+}
@@ -0,0 +1,102 @@
+/**
+ * Grace period applied when the prune option is enabled without limits, days
+ */
+const defaultGracePeriod = 30;
+
+/**
+ * Normalises the prune option
+ * @param {boolean|object} value    e.g. true or { afterSyncs: 5, afterDays: 14, onlyUnused: true }
+ * @returns {{ afterSyncs: number|null, afterDays: number|null, onlyUnused: boolean }|false}
+ */
+export function pruneOptions(value) {
+    if(value === false || value === undefined || value === null) {
+        return false;
+    }
+
+    if(value !== true && typeof value !== 'object') {
+        throw new Error('Prune option should be a boolean or an object');
+    }
+
+    const options = {
+        afterSyncs: null,
+        afterDays: null,
+        onlyUnused: false,
+        ...(typeof value === 'object' ? value : {}),
+    };
+
+    for(const key of ['afterSyncs', 'afterDays']) {
+        if(options[key] !== null && (typeof options[key] !== 'number' || options[key] < 0)) {
+            throw new Error(`Prune option '${key}' should be a non-negative number`);
+        }
+    }
+
+    if(options.afterSyncs === null && options.afterDays === null) {
+        options.afterDays = defaultGracePeriod;
+    }
+
+    return options;
+}
+
+/**
+ * Deletes the files of removed icons and the copies of renamed icons under their former names,
+ * including their raster exports, once the grace period is over. The period is tracked in the local database
+ * per file name, both in the number of syncs and in days since the file was superseded
+ * @param {object[]} icons              Icons stored in the local database, including removed ones
+ * @param {object[]} removedIcons       Icons removed from Figma
+ * @param {object[]|null} usages        References found in the codebase, required with the onlyUnused option
+ * @returns {string[]} filenames of the deleted icons
+ */
+export function pruneIcons(icons, removedIcons, usages) {
+    const { afterSyncs, afterDays, onlyUnused } = this.prune;
+    const now = new Date();
+    const deleted = [];
+
+    const isExpired = ({ since, syncs }) =>
+        (afterSyncs !== null && syncs >= afterSyncs)
+        || (afterDays !== null && (now - new Date(since)) / 86400000 >= afterDays);
+
+    for(const icon of icons) {
+        const isRemoved = removedIcons.some(({ nodeId }) => nodeId === icon.nodeId);
+        const names = [...new Set([
+            ...(isRemoved ? [icon.name] : []),
+            ...icon.previousNames.filter(name => name !== icon.name),
+        ])];
+
+        const retention = {};
+        for(const name of names) {
+            const tracked = icon.retention?.[name];
+            const period = {
+                since: tracked?.since ?? now.toISOString(),
+                syncs: tracked !== undefined ? tracked.syncs + 1 : 0,
+            };
+
+            // Files still referenced in the codebase are kept until the references are removed
+            const isUsed = onlyUnused && usages.some(usage => usage.name === name);
+
+            if(isExpired(period) && !isUsed) {
+                if(this.deleteFile(this.outputDirectory + this.getIconPath(name))) {
+                    deleted.push(this.getIconPath(name));
+                }
+                for(const { path } of this.getRasterPaths(name)) {
+                    if(this.deleteFile(path)) {
+                        deleted.push(path.startsWith(this.outputDirectory) ? path.slice(this.outputDirectory.length) : path);
+                    }
+                }
+                icon.previousNames = icon.previousNames.filter(previousName => previousName !== name);
+            } else {
+                retention[name] = period;
+            }
+        }
+
+        if(Object.keys(retention).length > 0) {
+            icon.retention = retention;
+        } else {
+            delete icon.retention;
+        }
+
+        // Removed icons are forgotten once all their files are deleted
+        icon.isPruned = isRemoved && Object.keys(retention).length === 0;
+    }
+
+    return deleted;
+}
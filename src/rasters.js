@@ -0,0 +1,120 @@
+import fs from 'node:fs';
+import * as utils from './utils.js';
+
+/**
+ * Formats rendered by Figma besides SVG; only raster formats are scaled
+ */
+const rasterFormats = {
+    png: { scalable: true },
+    jpg: { scalable: true },
+    pdf: { scalable: false },
+};
+
+/**
+ * Normalises the rasters option
+ * @param {string|string[]|object|object[]} value   e.g. 'png', ['png', 'pdf'] or [{ format: 'png', scales: [1, 2, 3], output: './android/' }]
+ * @returns {{ format: string, scales: number[], output: string|false }[]|false}
+ */
+export function rastersOptions(value) {
+    if(value === false || value === undefined || value === null) {
+        return false;
+    }
+
+    return [value].flat().map((entry) => {
+        const options = {
+            scales: [1],
+            output: false,
+            ...(typeof entry === 'string' ? { format: entry } : entry),
+        };
+
+        if(options.format in rasterFormats === false) {
+            throw new Error(`Unknown raster format '${options.format}', expected one of: ${Object.keys(rasterFormats).join(', ')}`);
+        }
+
+        options.scales = [options.scales].flat();
+        if(options.scales.length === 0 || options.scales.some(scale => typeof scale !== 'number' || !Number.isFinite(scale) || scale < 0.01 || scale > 4)) {
+            throw new Error(`Scales of ${options.format} should be numbers from 0.01 to 4`);
+        }
+        if(!rasterFormats[options.format].scalable && options.scales.some(scale => scale !== 1)) {
+            throw new Error(`Format ${options.format} can't be scaled, remove the scales`);
+        }
+
+        if(options.output !== false) {
+            options.output += options.output.endsWith('/') ? '' : '/';
+        }
+
+        return {
+            format: options.format,
+            scales: [...new Set(options.scales)],
+            output: options.output,
+        };
+    });
+}
+
+/**
+ * Returns the paths of the raster files of an icon, with «@2x» suffixes for the scales, e.g. «arrow@2x.png»
+ * @param {string} name     Icon name
+ * @returns {{ format: string, scale: number, path: string }[]}
+ */
+export function getRasterPaths(name) {
+    if(!this.rasters) {
+        return [];
+    }
+
+    return this.rasters.flatMap(({ format, scales, output }) => scales.map(scale => ({
+        format: format,
+        scale: scale,
+        path: (output !== false ? output : this.outputDirectory) +
+            this.getIconPath(name).replace(/\.svg$/, (scale !== 1 ? `@${scale}x` : '') + '.' + format),
+    })));
+}
+
+/**
+ * Exports the icons in the raster formats. Only the updated icons and those with missing files are rendered
+ * @param {object[]} icons              Icons present in Figma
+ * @param {string[]} updatedNodeIds     Node IDs of the icons downloaded during this sync
+ */
+export async function exportRasters(icons, updatedNodeIds) {
+    const { concurrency, batchSize } = { ...utils._defaultNetworkSettings, ...this.network };
+
+    // Grouping the files to render by format and scale, as they are requested separately
+    const groups = {};
+    for(const icon of icons) {
+        for(const { format, scale, path } of this.getRasterPaths(icon.name)) {
+            if(updatedNodeIds.includes(icon.nodeId) || !fs.existsSync(path)) {
+                const key = `${format}@${scale}`;
+                groups[key] = [...(groups[key] ?? []), { icon, format, scale, path }];
+            }
+        }
+    }
+
+    const total = Object.values(groups).reduce((acc, files) => acc + files.length, 0);
+    if(total === 0) {
+        return;
+    }
+
+    this.report(`Exporting rasters, ${total} total...`, true);
+    let exportedCount = 0;
+
+    for(const files of Object.values(groups)) {
+        const { format, scale } = files[0];
+
+        const imagesURLs = {};
+        for(const batch of utils.chunk(files.map(({ icon }) => icon.nodeId), batchSize)) {
+            const apiUrl = `${this.endpointBase}/images/${this.fileId}?ids=${batch.join(',')}&format=${format}` +
+                (rasterFormats[format].scalable ? `&scale=${scale}` : '');
+
+            const response = await this.request(apiUrl);
+            Object.assign(imagesURLs, response.images);
+        }
+
+        await utils.mapConcurrently(files, concurrency, async ({ icon, path }) => {
+            if(!imagesURLs[icon.nodeId]) {
+                throw new Error(`Figma is unable to render the icon '${icon.name}' (node ${icon.nodeId}) as ${format}`);
+            }
+
+            this.writeFile(path, await this.request(imagesURLs[icon.nodeId], 'binary', false));
+            this.report(`${++exportedCount}/${total}\tExported '${path}'...`, true);
+        });
+    }
+}
@@ -0,0 +1,174 @@
+/**
+ * Extensions of the change report by format
+ */
+const reportFormats = {
+    markdown: '.md',
+    html: '.html',
+};
+
+/**
+ * Warnings listed in the report: rename guidance and conflicts
+ */
+const renameEvents = ['rename-reminder', 'renamed-saved-both'];
+const conflictEvents = ['unable-to-save', 'renamed-unable-to-save', 'component-name-conflict'];
+
+/**
+ * Normalises the change report option
+ * @param {boolean|string|object} value     e.g. true, './icons-report.md' or { format: 'html', output: './report.html' }
+ * @returns {{ format: string, output: string|false }|false}
+ */
+export function changeReportOptions(value) {
+    if(value === false || value === undefined || value === null) {
+        return false;
+    }
+
+    const options = {
+        format: 'markdown',
+        output: false,
+    };
+
+    if(typeof value === 'string') {
+        options.output = value;
+        options.format = value.endsWith('.html') ? 'html' : 'markdown';
+    } else if(typeof value === 'object') {
+        if('format' in value) options.format = value.format;
+        if('output' in value) options.output = value.output;
+    } else if(value !== true) {
+        throw new Error('Change report option should be a boolean, a path to the report or an object');
+    }
+
+    if(options.format in reportFormats === false) {
+        throw new Error(`Unknown change report format '${options.format}', expected one of: ${Object.keys(reportFormats).join(', ')}`);
+    }
+
+    return options;
+}
+
+/**
+ * Renders the change report: the table of changed icons with before/after previews in HTML format,
+ * the rename guidance and the conflicts.
+ * Writes the report to the output file when it is set and returns its contents
+ * @param {object} changelog                Changelog with the contents of the icons
+ * @param {object} previousContents         Contents of the local files before the sync, by node ID
+ * @returns {string}
+ */
+export function generateChangeReport(changelog, previousContents) {
+    const { format, output } = this.changeReport;
+    const preview = (svg) => svg !== undefined && svg !== false
+        ? `<img src="data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}" width="32" height="32">`
+        : '';
+
+    const rows = [
+        ...changelog.added.map(icon => ({ status: 'Added', icon: icon, after: icon.svg })),
+        ...changelog.modified.map(icon => ({ status: 'Modified', icon: icon, before: previousContents[icon.nodeId], after: icon.svg })),
+        ...changelog.restored.map(icon => ({ status: 'Restored', icon: icon, before: previousContents[icon.nodeId], after: icon.svg })),
+        ...changelog.unmodified.filter(icon => icon.isRenamed).map(icon => ({ status: 'Renamed', icon: icon, before: icon.svg, after: icon.svg })),
+        ...changelog.removed.map(icon => ({ status: 'Removed', icon: icon, before: icon.svg })),
+    ].map(row => ({
+        status: row.status,
+        name: (row.icon.isRenamed ? row.icon.previousNames.slice(-1)[0] + '.svg → ' : '') + row.icon.name + '.svg',
+        before: preview(row.before),
+        after: preview(row.after),
+    }));
+
+    const listEvents = (events) => this.eventsList
+        .filter(({ event }) => events.includes(event))
+        .map(({ description, filenames }) => ({
+            description: description,
+            former: filenames.former ?? [],
+            present: filenames.present,
+        }));
+    const renames = listEvents(renameEvents);
+    const conflicts = listEvents(conflictEvents);
+
+    const summary = rows.length > 0
+        ? ['Added', 'Modified', 'Restored', 'Renamed', 'Removed']
+            .map(status => [status, rows.filter(row => row.status === status).length])
+            .filter(([, count]) => count > 0)
+            .map(([status, count]) => `${status}: ${count}`)
+            .join(', ')
+        : 'All icons are up-to-date.';
+
+    const report = format === 'html'
+        ? renderHtml(rows, renames, conflicts, summary)
+        : renderMarkdown(rows, renames, conflicts, summary);
+
+    if(output !== false) {
+        this.writeFile(output, report);
+    }
+
+    return report;
+}
+
+/**
+ * Renders the report in Markdown, suitable for a pull request description.
+ * Previews are left out, as GitHub strips the images embedded as data URIs
+ */
+function renderMarkdown(rows, renames, conflicts, summary) {
+    const code = (string) => '`' + string.replace(/\|/g, '\\|') + '`';
+    const lines = ['## Icons changes', '', summary];
+
+    if(rows.length > 0) {
+        lines.push(
+            '',
+            '| Status | Icon |',
+            '| --- | --- |',
+            ...rows.map(row => `| ${row.status} | ${code(row.name)} |`)
+        );
+    }
+
+    if(renames.length > 0) {
+        lines.push('', '### Renamed icons', '', renames[0].description, '');
+        lines.push(...renames.map(({ former, present }) => `- ${former.map(code).join(', ')} → ${code(present)}`));
+    }
+
+    if(conflicts.length > 0) {
+        lines.push('', '### Conflicts', '');
+        lines.push(...conflicts.map(({ description, present }) => `- ${code(present)}: ${description}`));
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Renders the report as a self-contained HTML page
+ */
+function renderHtml(rows, renames, conflicts, summary) {
+    const escape = (string) => string.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    const code = (string) => `<code>${escape(string)}</code>`;
+    const parts = [`<h2>Icons changes</h2>`, `<p>${escape(summary)}</p>`];
+
+    if(rows.length > 0) {
+        parts.push(
+            '<table>',
+            '<thead><tr><th>Status</th><th>Icon</th><th>Before</th><th>After</th></tr></thead>',
+            '<tbody>',
+            ...rows.map(row => `<tr><td>${row.status}</td><td>${code(row.name)}</td><td>${row.before}</td><td>${row.after}</td></tr>`),
+            '</tbody>',
+            '</table>'
+        );
+    }
+
+    if(renames.length > 0) {
+        parts.push('<h3>Renamed icons</h3>', `<p>${escape(renames[0].description)}</p>`, '<ul>');
+        parts.push(...renames.map(({ former, present }) => `<li>${former.map(code).join(', ')} → ${code(present)}</li>`));
+        parts.push('</ul>');
+    }
+
+    if(conflicts.length > 0) {
+        parts.push('<h3>Conflicts</h3>', '<ul>');
+        parts.push(...conflicts.map(({ description, present }) => `<li>${code(present)}: ${escape(description)}</li>`));
+        parts.push('</ul>');
+    }
+
+    return '<!DOCTYPE html>\n' +
+        '<html>\n<head>\n<meta charset="utf-8">\n<title>Icons changes</title>\n' +
+        '<style>\n' +
+        'body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; margin: 2em; color: #1f2328; }\n' +
+        'table { border-collapse: collapse; }\n' +
+        'th, td { border: 1px solid #d0d7de; padding: 6px 12px; text-align: left; }\n' +
+        'td:nth-child(3), td:nth-child(4) { text-align: center; background: #f6f8fa; }\n' +
+        '</style>\n</head>\n<body>\n' +
+        parts.join('\n') +
+        '\n</body>\n</html>\n';
+}
@@ -0,0 +1,249 @@
+import http from 'node:http';
+import { createHash, timingSafeEqual } from 'node:crypto';
+import FigmaSync from './sync.js';
+import { buildOptions } from './config.js';
+import { runHook } from './watch.js';
+
+/**
+ * Webhook events that trigger a sync
+ */
+const syncEvents = ['FILE_UPDATE', 'LIBRARY_PUBLISH'];
+
+/**
+ * Maximum size of a webhook payload, bytes
+ */
+const maxPayloadSize = 1024 * 1024;
+
+/**
+ * Compares the passcodes in constant time
+ * @param {string} received
+ * @param {string} expected
+ */
+function isPasscodeValid(received, expected) {
+    const hash = (value) => createHash('sha256').update(String(value)).digest();
+    return typeof received === 'string' && timingSafeEqual(hash(received), hash(expected));
+}
+
+/**
+ * Reads the JSON body of the request
+ * @param {http.IncomingMessage} request
+ */
+function readJsonBody(request) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        const onData = (chunk) => {
+            size += chunk.length;
+            if(size > maxPayloadSize) {
+                // The rest of the payload isn't read, the connection is closed once the response is sent
+                request.off('data', onData);
+                request.pause();
+                reject(Object.assign(new Error('Payload is too large'), { statusCode: 413 }));
+                return;
+            }
+            chunks.push(chunk);
+        };
+        request.on('data', onData);
+        request.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch(err) {
+                reject(Object.assign(new Error('Payload isn\'t a valid JSON'), { statusCode: 400 }));
+            }
+        });
+        request.on('error', reject);
+    });
+}
+
+/**
+ * Sends the JSON response
+ * @param {http.ServerResponse} response
+ * @param {number} statusCode
+ * @param {object} data
+ */
+function sendJson(response, statusCode, data) {
+    response.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(data, null, 2));
+}
+
+/**
+ * Starts the HTTP server receiving Figma webhooks and syncing the targets of the updated files.
+ * Bursts of events are debounced per file; only one sync of a file runs at a time.
+ *
+ * POST /webhook    receives the webhooks, the passcode should match the one of the webhook
+ * GET /status      returns the status and the last sync result of every target
+ *
+ * @param {object[]} targets    Targets resolved from the config
+ * @param {object} options
+ * @param {string} options.passcode         Passcode of the webhook
+ * @param {number} options.port             Port to listen to, 0 for a random one
+ * @param {string} options.host
+ * @param {number} options.debounce         Delay after the last event of a burst before the sync, seconds
+ * @param {string|null} options.hook        Command to run after every sync with a non-empty changelog
+ * @param {function} options.onSync         Called with the result and the target after every sync
+ * @param {function} options.onError        Called with the error and the target when a sync fails,
+ *                                          or with the error and null when the server fails to start
+ * @returns {{ server: http.Server, close: function }}
+ */
+export function serveTargets(targets, { passcode, port = 4000, host = undefined, debounce = 5, hook = null, onSync = () => {}, onError = null } = {}) {
+    if(typeof passcode !== 'string' || passcode.length === 0) {
+        throw new Error('No webhook passcode specified: set the FIGMA_WEBHOOK_PASSCODE environment variable or --passcode in the command line');
+    }
+    if(!Number.isInteger(port) || port < 0 || port > 65535) {
+        throw new Error('Port should be an integer from 0 to 65535');
+    }
+    if(typeof debounce !== 'number' || !Number.isFinite(debounce) || debounce < 0) {
+        throw new Error('Debounce delay should be a non-negative number of seconds');
+    }
+
+    const statuses = targets.map((target) => ({
+        target: target.name ?? [target.figmaLink].flat().join(', '),
+        fileId: buildOptions(target).fileId,
+        state: 'idle',
+        lastEvent: null,
+        lastSync: null,
+        lastError: null,
+    }));
+    const isVerbose = targets.some(target => target.enableConsoleOutput === true && target.quiet !== true);
+
+    // Debounce timers and sync queue of every file
+    const files = {};
+    for(const { fileId } of statuses) {
+        files[fileId] = { timer: null, isSyncing: false, isQueued: false };
+    }
+
+    const syncFile = async (fileId) => {
+        const file = files[fileId];
+        if(file.isSyncing) {
+            // Events received during the sync trigger one more sync after it
+            file.isQueued = true;
+            return;
+        }
+        file.isSyncing = true;
+
+        for(const [index, target] of targets.entries()) {
+            const status = statuses[index];
+            if(status.fileId !== fileId) { continue; }
+
+            status.state = 'syncing';
+            try {
+                const syncer = new FigmaSync(buildOptions(target));
+                if(targets.length > 1) {
+                    syncer.report('\n' + status.target.bold);
+                }
+
+                const { changelog, totalFetches, hasChanges, reports } = await syncer.extractIcons();
+                status.lastSync = {
+                    finishedAt: new Date().toISOString(),
+                    result: { changelog, totalFetches, reports },
+                };
+                status.lastError = null;
+                onSync(status.lastSync.result, target);
+
+                if(hook !== null && hasChanges) {
+                    await runHook(hook, status.lastSync.result);
+                }
+            } catch(err) {
+                status.lastError = { message: err.message, at: new Date().toISOString() };
+                if(onError !== null) {
+                    onError(err, target);
+                } else if(target.enableConsoleOutput === true) {
+                    console.error('Sync Error'.white.bgRed + '\n' + err.message);
+                }
+            }
+            status.state = file.timer !== null ? 'pending' : 'idle';
+        }
+
+        file.isSyncing = false;
+        if(file.isQueued) {
+            file.isQueued = false;
+            await syncFile(fileId);
+        }
+    };
+
+    const handleWebhook = (payload) => {
+        if(typeof payload !== 'object' || payload === null || !isPasscodeValid(payload.passcode, passcode)) {
+            return [403, { error: 'Invalid passcode' }];
+        }
+
+        if(payload.event_type === 'PING') {
+            return [200, { status: 'ok' }];
+        }
+
+        if(syncEvents.includes(payload.event_type) === false || payload.file_key in files === false) {
+            return [200, { status: 'ignored' }];
+        }
+
+        const fileId = payload.file_key;
+        const file = files[fileId];
+        for(const status of statuses.filter(status => status.fileId === fileId)) {
+            status.lastEvent = { type: payload.event_type, timestamp: payload.timestamp ?? new Date().toISOString() };
+            if(status.state === 'idle') {
+                status.state = 'pending';
+            }
+        }
+
+        clearTimeout(file.timer);
+        file.timer = setTimeout(() => {
+            file.timer = null;
+            syncFile(fileId);
+        }, debounce * 1000);
+
+        if(isVerbose) {
+            console.log(`[${new Date().toLocaleTimeString()}] ${payload.event_type} received for ${fileId}, syncing in ${debounce} s...`.gray);
+        }
+
+        return [202, { status: 'scheduled' }];
+    };
+
+    const server = http.createServer(async (request, response) => {
+        const { pathname } = new URL(request.url, 'http://localhost');
+
+        if(request.method === 'GET' && pathname === '/status') {
+            return sendJson(response, 200, { targets: statuses });
+        }
+
+        if(request.method === 'POST' && pathname === '/webhook') {
+            try {
+                const [statusCode, data] = handleWebhook(await readJsonBody(request));
+                return sendJson(response, statusCode, data);
+            } catch(err) {
+                if(err.statusCode === 413) {
+                    response.setHeader('Connection', 'close');
+                    response.on('finish', () => request.destroy());
+                }
+                return sendJson(response, err.statusCode ?? 500, { error: err.message });
+            }
+        }
+
+        sendJson(response, 404, { error: 'Not found' });
+    });
+
+    // The server fails to start, e.g. when the port is already in use
+    server.on('error', (err) => {
+        if(onError !== null) {
+            onError(err, null);
+        } else {
+            process.exitCode = 1;
+            console.error('Server Error'.white.bgRed + '\n' + err.message);
+        }
+    });
+
+    server.listen(port, host, () => {
+        if(isVerbose) {
+            const { port } = server.address();
+            console.log(`Listening for Figma webhooks on http://${host ?? 'localhost'}:${port}/webhook, status on /status`);
+        }
+    });
+
+    return {
+        server: server,
+        close: () => {
+            for(const file of Object.values(files)) {
+                clearTimeout(file.timer);
+            }
+            return new Promise((resolve) => server.close(() => resolve()));
+        },
+    };
+}
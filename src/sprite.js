@@ -0,0 +1,128 @@
+import fs from 'node:fs';
+import { optimize } from 'svgo';
+
+/**
+ * Normalises the sprite option
+ * @param {boolean|string|object} value     e.g. true, 'sprite.svg' or { filename: 'sprite.svg', groupBySubfolder: true }
+ * @returns {{ filename: string, groupBySubfolder: boolean }|false}
+ */
+export function spriteOptions(value) {
+    if(value === false || value === undefined || value === null) {
+        return false;
+    }
+
+    const options = {
+        filename: 'sprite.svg',
+        groupBySubfolder: false,
+    };
+
+    if(typeof value === 'string') {
+        options.filename = value;
+    } else if(typeof value === 'object') {
+        if('filename' in value) options.filename = value.filename;
+        if('groupBySubfolder' in value) options.groupBySubfolder = value.groupBySubfolder === true;
+    } else if(value !== true) {
+        throw new Error('Sprite option should be a boolean, a filename or an object');
+    }
+
+    if(!options.filename.endsWith('.svg')) {
+        throw new Error(`Sprite filename '${options.filename}' should have .svg extension`);
+    }
+
+    return options;
+}
+
+/**
+ * Converts an icon to a <symbol>, prefixing its internal IDs with the symbol ID to avoid conflicts within the sprite
+ * @param {string} svg
+ * @param {string} id   Symbol ID
+ */
+export function convertToSymbol(svg, id) {
+    const toSymbol = {
+        name: 'convertToSymbol',
+        fn: () => ({
+            element: {
+                enter(node, parentNode) {
+                    if(parentNode.type !== 'root' || node.name !== 'svg') { return; }
+
+                    const { width, height } = node.attributes;
+                    if(!('viewBox' in node.attributes) && width !== undefined && height !== undefined) {
+                        node.attributes.viewBox = `0 0 ${parseFloat(width)} ${parseFloat(height)}`;
+                    }
+
+                    for(const attribute of ['xmlns', 'width', 'height', 'id']) {
+                        delete node.attributes[attribute];
+                    }
+
+                    node.name = 'symbol';
+                    node.attributes = { id: id, ...node.attributes };
+                },
+            },
+        }),
+    };
+
+    return optimize(svg.toString(), {
+        plugins: [
+            {
+                name: 'prefixIds',
+                params: {
+                    prefix: id,
+                    delim: '--',
+                    prefixClassNames: false,
+                },
+            },
+            toSymbol,
+        ],
+    }).data;
+}
+
+/**
+ * Assembles the icons into SVG sprites with one <symbol> per icon
+ * @param {object[]} icons          Icons present in Figma, with contents
+ * @param {boolean} hasChanges      Whether the changelog is non-empty: otherwise only missing sprites are generated
+ */
+export function generateSprite(icons, hasChanges) {
+    const { filename, groupBySubfolder } = this.sprite;
+
+    // Grouping icons by subfolder: «socials/facebook» goes to «socials/sprite.svg»
+    const groups = icons.reduce((acc, icon) => {
+        const group = groupBySubfolder ? icon.name.split('/').slice(0, -1).join('/') : '';
+        acc[group] = [...(acc[group] ?? []), icon];
+        return acc;
+    }, {});
+
+    for(const group of Object.keys(groups)) {
+        let path = filename;
+        if(group !== '') {
+            path = this.ignoreSubfolders ? group.split('/').join('_') + '_' + filename : group + '/' + filename;
+        }
+        path = this.outputDirectory + path;
+
+        if(!hasChanges && fs.existsSync(path)) { continue; }
+
+        const symbols = groups[group]
+            .filter(icon => icon.svg !== undefined)
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(icon => ({ icon, id: icon.name.split('/').join('_') }));
+
+        // «a/b» and «a_b» get the same symbol ID, which can't be told apart in the sprite
+        const ids = {};
+        for(const { icon, id } of symbols) {
+            ids[id] = [...(ids[id] ?? []), icon.name];
+        }
+        const collisions = Object.keys(ids).filter(id => ids[id].length > 1);
+        if(collisions.length > 0) {
+            throw new Error(
+                `Several icons have the same symbol ID in the sprite '${path}', rename them in Figma:\n` +
+                collisions.map(id => `${id}: ${ids[id].join(', ')}`).join('\n')
+            );
+        }
+
+        this.writeFile(
+            path,
+            '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink">' +
+            symbols.map(({ icon, id }) => convertToSymbol(icon.svg, id)).join('') +
+            '</svg>'
+        );
+    }
+}
@@ -1,13 +1,63 @@
 import fs from 'node:fs';
 import { optimize } from 'svgo';
-import { slugify } from 'transliteration';
 
 import * as utils from './utils.js';
+import * as manifest from './manifest.js';
+import * as sprite from './sprite.js';
+import * as emitters from './emitters.js';
+import * as font from './font.js';
+import * as changeReport from './report.js';
+import * as usages from './usages.js';
+import * as prune from './prune.js';
+import * as naming from './naming.js';
+import * as variants from './variants.js';
+import * as filters from './filters.js';
+import * as metadata from './metadata.js';
+import * as rasters from './rasters.js';
+import * as colors from './colors.js';
+import * as lint from './lint.js';
+import * as transaction from './transaction.js';
+import * as database from './database.js';
+
+/**
+ * Maximum number of nodes requested from Figma at once
+ */
+const nodesBatchSize = 50;
 
 export default class IconsSync {
     md5 = utils.md5;
     request = utils.sendRequest;
     performMigrations = utils.performMigrations;
+    readLocalDb = database.readLocalDb;
+    updateLocalIconsDb = database.updateLocalIconsDb;
+    detectLocalEdits = database.detectLocalEdits;
+    recordHistory = database.recordHistory;
+    writeFile = utils.writeFile;
+    deleteFile = utils.deleteFile;
+    beginTransaction = transaction.beginTransaction;
+    commitTransaction = transaction.commitTransaction;
+    rollbackTransaction = transaction.rollbackTransaction;
+    stageFile = transaction.stageFile;
+    unstageFile = transaction.unstageFile;
+    fileExists = transaction.fileExists;
+    readFile = transaction.readFile;
+    generateManifest = manifest.generateManifest;
+    generateSprite = sprite.generateSprite;
+    generateComponents = emitters.generateComponents;
+    generateFont = font.generateFont;
+    generateChangeReport = changeReport.generateChangeReport;
+    findUsages = usages.findUsages;
+    pruneIcons = prune.pruneIcons;
+    iconName = naming.iconName;
+    isVariantIncluded = variants.isVariantIncluded;
+    filterIcons = filters.filterIcons;
+    generateMetadata = metadata.generateMetadata;
+    getRasterPaths = rasters.getRasterPaths;
+    exportRasters = rasters.exportRasters;
+    fetchVariableNames = colors.fetchVariableNames;
+    colorMappingPlugin = colors.colorMappingPlugin;
+    classifyColors = colors.classifyColors;
+    lintIcons = lint.lintIcons;
 
     warn = utils.warn;
     report = utils.printToConsole;
@@ -15,43 +65,98 @@ export default class IconsSync {
 
     eventsList = [];
 
+    // Metadata of the components, their sets and styles, e.g. descriptions, by node ID
+    componentsMetadata = {};
+    componentSetsMetadata = {};
+    stylesMetadata = {};
+
+    // Names of the variables of the file by ID, fetched when colors are mapped by variable names
+    variableNames = null;
+
+    // Icons found in Figma during the sync, with the data of their nodes
+    foundIcons = [];
+
+    // Component nodes of the icons by node ID, checked by the lint rules
+    componentNodes = {};
+
     constructor(options) {
         for(const key of Object.keys(options)) {
             this[key] = options[key];
         }
         
-        this.endpointBase = 'https://api.figma.com/v1';
+        this.endpointBase = (this.apiBase ?? 'https://api.figma.com/v1').replace(/\/+$/, '');
         this.localHashesFile = this.outputDirectory + '_icons.json';
     }
 
+    // Changes staged during the sync, applied to the output at once when it succeeds
+    transaction = null;
+
+    // Local database read at the start of the sync, and the version of the Figma file
+    localDb = null;
+    migratedDb = null;
+    fileVersion = null;
+
     /**
-     * Primary logic: fetching, comparing to local, updating & downloading
+     * Syncs the icons in a transaction: the output is only changed when the sync succeeds,
+     * a failed sync leaves the output and the local database untouched
      * @param {bool} forceReload 
      * @returns sync status, including changelog, number of fetches and report
      */
     async extractIcons(forceReload = false) {
+        await this.performMigrations();
+
+        this.beginTransaction();
+        try {
+            const output = await this.syncIcons(forceReload);
+            this.commitTransaction();
+            return output;
+        } catch(err) {
+            this.rollbackTransaction();
+            throw err;
+        }
+    }
+
+    /**
+     * Primary logic: fetching, comparing to local, updating & downloading
+     * @param {bool} forceReload 
+     * @returns sync status, including changelog, number of fetches and report
+     */
+    async syncIcons(forceReload = false) {
         // Check if an icon exists on filesystem. Returns false when force re-fetch is requested
-        const exists = async (icon) => !forceReload && fs.existsSync(this.outputDirectory + icon.name + '.svg');
+        const exists = async (icon) => !forceReload && this.fileExists(this.outputDirectory + icon.name + '.svg');
 
         // Returns the contents of the icon
-        const getContents = async (filename) => {
-            const fullPath = this.outputDirectory + filename + '.svg';
-            if(fs.existsSync(fullPath)) {
-                return fs.readFileSync(fullPath, { encoding: 'utf8' });
-            }
+        const getContents = async (filename) => this.readFile(this.outputDirectory + filename + '.svg');
 
-            return false;
-        };
-
-        await this.performMigrations();
+        this.localDb = this.readLocalDb();
         this.report('Scanning the Figma file for the icons...', true);
 
         // Connecting to Figma, looking for components
         const frameContents = await this.getFigmaFrameContents();
-        const iconsList = this.findComponentsRecursively(frameContents);
+        const foundIcons = this.findComponentsRecursively(frameContents)
+            // The same component may be found several times, e.g. via a page and a frame on it
+            .filter((icon, index, array) => array.findIndex(({ nodeId }) => nodeId === icon.nodeId) === index);
+
+        // Skipping the icons that don't pass the filters
+        const { included: iconsList, skipped } = this.filterIcons(foundIcons);
+
+        this.detectNameCollisions(iconsList);
+        this.foundIcons = iconsList;
 
         // Comparing changes with local folder
         const changelog = await this.consolidateChanges(iconsList, forceReload);
+        changelog.skipped = skipped;
+
+        // Icons stored by former versions have no color classification. Their files may have the fills removed,
+        // so they are classified by the paints of their nodes
+        for(const icon of changelog.unmodified.filter(icon => icon.isMonochrome === undefined)) {
+            const { colorType, isMonochrome } = this.classifyColors(null, this.paintsOf(icon.nodeId));
+            icon.colorType = colorType;
+            icon.isMonochrome = isMonochrome;
+        }
+
+        // Looking for the icons edited by hand since they were written
+        const localEdits = this.detectLocalEdits(changelog);
 
         // Building the list of icons to download
         const downloadList = [
@@ -74,20 +179,75 @@ export default class IconsSync {
             return icon;
         });
 
+        // In dry run mode icons are only downloaded when their contents should be compared to the local files
+        const shouldDownload = this.dryRun !== true || this.compareContents === true;
+
         // Downloading new & updated icons
-        if(downloadList.length > 0) {
+        let diff = null;
+        let lintSummary = null;
+        if(downloadList.length > 0 && shouldDownload) {
             this.report(`Downloading icons, ${downloadList.length} total...`, true);
             const iconsSVGs = await this.downloadAndCleanIcons(downloadList);
             iconsContents.push(...iconsSVGs);
+
+            // Checking the icons against the lint rules, icons with errors are blocked from being saved
+            if(this.lint) {
+                lintSummary = this.lintIcons(iconsSVGs);
+            }
+
+            if(this.dryRun === true) {
+                diff = await Promise.all(iconsSVGs.map(async (icon) => {
+                    const localContents = await getContents(icon.name);
+                    return {
+                        name: icon.name + '.svg',
+                        status: localContents === false ? 'missing' : (localContents == icon.svg ? 'identical' : 'different')
+                    };
+                }));
+            }
+        }
+
+        // Keeping the contents of the local files before they are overwritten for the change report
+        const previousContents = {};
+        if(this.changeReport) {
+            for(const icon of downloadList) {
+                const localName = icon.isRenamed ? icon.previousNames.slice(-1)[0] : icon.name;
+                previousContents[icon.nodeId] = await getContents(localName);
+            }
         }
 
         // Processing changes and renames
+        const blockedEntries = [];
         for(let iconID in iconsContents) {
+            if(!shouldDownload) { break; }
+
             const icon = iconsContents[iconID];
             const type = Object.keys(changelog).find(
                 (key) => changelog[key].find(({ nodeId }) => nodeId === icon.nodeId) != undefined
             );
 
+            // Blocked icons aren't saved: new icons are left out, changed icons keep their local versions.
+            // Their stored entries are kept as they were, so they are checked again during the next sync
+            if(icon.isBlocked) {
+                const localIcon = this.localDb?.icons.find(({ nodeId }) => nodeId === icon.nodeId);
+                const localContents = localIcon !== undefined ? await getContents(localIcon.name) : false;
+
+                if(localContents !== false) {
+                    iconsContents[iconID] = { ...localIcon, svg: localContents };
+
+                    // Entries stored by former versions have no color classification
+                    if(localIcon.isMonochrome === undefined) {
+                        const { colorType, isMonochrome } = this.classifyColors(null, this.paintsOf(icon.nodeId));
+                        Object.assign(iconsContents[iconID], { colorType, isMonochrome });
+                    }
+                } else {
+                    delete iconsContents[iconID];
+                    if(localIcon !== undefined) {
+                        blockedEntries.push(localIcon);
+                    }
+                }
+                continue;
+            }
+
             switch(type) {
                 case 'added':
                     // If an icon conflicts with an existing icon on the filesystem and their contents differ, reporting the conflict 
@@ -113,20 +273,20 @@ export default class IconsSync {
                         // If the icon's name reverted to the previous one, deleting new name from the list of previous names
                         if(icon.previousNames.includes(icon.name)) {
                             icon.previousNames = icon.previousNames.filter(v => v !== icon.name);
-                            this.saveIcon(icon, true);
+                            this.saveIcon(icon, true, type === 'unmodified');
                             this.warn('renamed-saved-both', eventData);
                         
                         // Checking if able to write a new file
                         } else if(await exists(icon) && await getContents(icon.name) != icon.svg) {
                             // Reverting icon's name to the old one
-                            icon.name = data.previousNames.slice(-1)[0];
+                            icon.name = eventData.previousNames.slice(-1)[0];
                             // Reporting about the situation
                             this.warn('renamed-unable-to-save', eventData);
                             
                         // If icon does not exist
                         } else {
                             // Saving both old and new icons
-                            this.saveIcon(icon, true);
+                            this.saveIcon(icon, true, type === 'unmodified');
                             this.warn('renamed-saved-both', eventData);
                         }
         
@@ -134,7 +294,7 @@ export default class IconsSync {
                     } else {
                         // Checking & filtering the previous names
                         icon.previousNames = icon.previousNames.filter((name) => 
-                            name !== icon.name && fs.existsSync(this.outputDirectory + name + '.svg')
+                            name !== icon.name && this.fileExists(this.outputDirectory + name + '.svg')
                         );
 
                         // Reminding to remove usages of the old names from codebase
@@ -154,13 +314,71 @@ export default class IconsSync {
             }
         }
 
-        this.updateLocalIconsDb(iconsContents.filter(icon => icon != null).map(icon => {
-            // Minifying local database by removing icon contents and non-required params
-            delete icon.svg;
-            delete icon.isRenamed;
+        // Blocked icons are listed separately
+        changelog.blocked = downloadList.filter(icon => icon.isBlocked === true);
+        for(const key of ['added', 'modified', 'restored']) {
+            changelog[key] = changelog[key].filter(icon => icon.isBlocked !== true);
+        }
+        const updatedIcons = downloadList.filter(icon => icon.isBlocked !== true);
+
+        this.recordHistory(changelog);
 
-            return icon;
-        }));
+        let syncedIcons = iconsContents.filter(icon => icon != null);
+
+        // Looking for the references to renamed and removed icons in the codebase
+        const usagesList = this.usages
+            ? this.findUsages([...changelog.unmodified, ...updatedIcons], changelog.removed)
+            : null;
+
+        // Deleting removed icons and copies under former names after the grace period
+        let prunedFiles = null;
+        if(this.prune) {
+            prunedFiles = this.pruneIcons(syncedIcons, changelog.removed, usagesList);
+            syncedIcons = syncedIcons.filter(icon => icon.isPruned !== true);
+        }
+
+        const hasChanges = ['added', 'modified', 'restored', 'removed'].some((key) => changelog[key].length > 0)
+            || changelog.unmodified.some((icon) => icon.isRenamed)
+            || prunedFiles?.length > 0;
+
+        // Generating the artifacts based on the icons present in Figma
+        const presentIcons = syncedIcons.filter(icon => 
+            changelog.removed.find(({ nodeId }) => nodeId === icon.nodeId) === undefined
+        );
+
+        if(this.dryRun !== true) {
+            if(this.manifest) {
+                this.generateManifest(presentIcons, hasChanges);
+            }
+
+            if(this.sprite) {
+                this.generateSprite(presentIcons, hasChanges);
+            }
+
+            if(this.components) {
+                this.generateComponents(presentIcons, hasChanges, updatedIcons.map(({ nodeId }) => nodeId));
+            }
+
+            if(this.font) {
+                await this.generateFont(presentIcons, hasChanges, syncedIcons);
+            }
+
+            if(this.rasters) {
+                // Figma renders the current version of the nodes, which was rejected for the blocked icons
+                const rasterIcons = presentIcons.filter(icon =>
+                    changelog.blocked.find(({ nodeId }) => nodeId === icon.nodeId) === undefined
+                );
+                await this.exportRasters(rasterIcons, updatedIcons.map(({ nodeId }) => nodeId));
+            }
+        }
+
+        // Metadata is refreshed on every sync, in dry run mode it is only returned
+        const metadataList = this.metadata
+            ? this.generateMetadata(shouldDownload ? presentIcons : [...changelog.unmodified, ...updatedIcons], iconsList)
+            : null;
+
+        // Minifying local database by removing icon contents and non-required params
+        this.updateLocalIconsDb([...syncedIcons, ...blockedEntries].map(({ svg, isRenamed, renamedFrom, isPruned, isBlocked, ...icon }) => icon));
 
         // Returns changelog without superfluous data
         const output = {
@@ -168,10 +386,61 @@ export default class IconsSync {
                 acc[key] = changelog[key].map((icon) => icon.name + '.svg'); 
                 return acc; 
             }, {}),
-            totalFetches: downloadList.length,
+            totalFetches: shouldDownload ? downloadList.length : 0,
+            hasChanges: hasChanges,
             reports: this.eventsList
         };
 
+        // Variants of the component sets present in Figma
+        const componentSets = [...changelog.unmodified, ...updatedIcons]
+            .filter(icon => 'variant' in icon)
+            .reduce((acc, icon) => {
+                acc[icon.set] = [...(acc[icon.set] ?? []), { name: icon.name + '.svg', variant: icon.variant }];
+                return acc;
+            }, {});
+        if(Object.keys(componentSets).length > 0) {
+            output.componentSets = componentSets;
+        }
+
+        // Classification of the colors of the icons present in Figma: monochrome, multicolor or gradient
+        const colorTypes = Object.fromEntries([...changelog.unmodified, ...updatedIcons]
+            .filter(icon => icon.colorType !== undefined)
+            .map(icon => [icon.name + '.svg', icon.colorType]));
+        if(Object.keys(colorTypes).length > 0) {
+            output.colorTypes = colorTypes;
+        }
+
+        if(localEdits.length > 0) {
+            output.localEdits = localEdits;
+        }
+
+        if(lintSummary !== null) {
+            output.lint = lintSummary;
+        }
+
+        if(metadataList !== null) {
+            output.metadata = metadataList;
+        }
+
+        if(usagesList !== null) {
+            output.usages = usagesList;
+        }
+
+        if(prunedFiles !== null) {
+            output.pruned = prunedFiles;
+        }
+
+        if(this.changeReport) {
+            output.changeReport = this.generateChangeReport(changelog, previousContents);
+        }
+
+        if(this.dryRun === true) {
+            output.dryRun = true;
+            if(diff !== null || this.compareContents === true) {
+                output.diff = diff ?? [];
+            }
+        }
+
 
         this.visualiseChangelog(output);
         return output;
@@ -189,22 +458,25 @@ export default class IconsSync {
             removed: [],
         };
 
+        // Properties stored in the local database that are preserved between syncs
+        const persistedKeys = ['isMonochrome', 'colorType', 'codepoint', 'retention', 'svgHash', 'history'];
+
         const format = (icon) => {
             return {
                 nodeId: icon.nodeId,
                 name: icon.name,
                 previousNames: 'previousNames' in icon ? icon.previousNames : [],
                 isRenamed: false,
-                hash: icon.hash
+                hash: icon.hash,
+                ...('variant' in icon ? { set: icon.set, variant: icon.variant } : {}),
+                ...Object.fromEntries(persistedKeys.filter(key => key in icon).map(key => [key, icon[key]]))
             };
         };
 
         remoteIcons = remoteIcons.map(icon => format(icon));
 
-        if(fs.existsSync(this.localHashesFile) && force !== true) {
-            const localIcons = await JSON.parse(
-                fs.readFileSync(this.localHashesFile, { encoding: 'utf8' })
-            ).map(icon => format(icon));
+        if(this.localDb !== null && force !== true) {
+            const localIcons = this.localDb.icons.map(icon => format(icon));
 
             for (const remoteIcon of remoteIcons) {
                 const localIcon = localIcons.find(({ nodeId }) => nodeId === remoteIcon.nodeId);
@@ -215,8 +487,11 @@ export default class IconsSync {
                 
                 // This icon exists or has existed
                 } else {
-                    // Preserving previous names
+                    // Preserving previous names and persisted properties
                     remoteIcon.previousNames = localIcon.previousNames;
+                    for(const key of persistedKeys.filter(key => key in localIcon)) {
+                        remoteIcon[key] = localIcon[key];
+                    }
 
                     // Checking if name has changed
                     if(localIcon.name != remoteIcon.name) {
@@ -225,6 +500,7 @@ export default class IconsSync {
                             remoteIcon.previousNames.push(localIcon.name);
                         }
                         remoteIcon.isRenamed = true;
+                        remoteIcon.renamedFrom = localIcon.name;
                     }
 
                     // The hashes matched, no changes in the remote icon
@@ -258,25 +534,27 @@ export default class IconsSync {
                 .filter((icon) => fs.existsSync(this.outputDirectory + icon.name + '.svg'))
             );
         } else {
+            // When forcing, all icons are saved again but keep their persisted properties, e.g. the font codepoints
+            for(const remoteIcon of remoteIcons) {
+                const localIcon = this.localDb?.icons.find(({ nodeId }) => nodeId === remoteIcon.nodeId);
+                for(const key of persistedKeys.filter(key => key in (localIcon ?? {}))) {
+                    remoteIcon[key] = localIcon[key];
+                }
+            }
+
             changelog.added.push(...remoteIcons);
         }
 
         return changelog;
     }
 
-    /**
-     * Saves the JSON file with the list of local icons and their hashes
-    */
-    async updateLocalIconsDb(iconsList) {
-        await fs.writeFileSync(this.localHashesFile, JSON.stringify(iconsList));
-    }
-
     /**
      * Saves an icon to the filesystem
      * @param {icon} icon 
      * @param {bool} saveUnderPreviousNames 
+     * @param {bool} isUnmodified   The contents are those of the local file, which may have been edited by hand
      */
-    saveIcon(icon, saveUnderPreviousNames = false) {
+    saveIcon(icon, saveUnderPreviousNames = false, isUnmodified = false) {
         const namesList = [icon.name];
 
         if(saveUnderPreviousNames === true) {
@@ -284,41 +562,109 @@ export default class IconsSync {
         }
 
         for(const name of namesList) {
-            const iconPath = name.split('/');
-        
-            let iconName = iconPath.pop() + '.svg';
-            let targetDir = this.outputDirectory + (iconPath.length > 0 ? iconPath.join('/') + '/' : '');
-
-            if(this.ignoreSubfolders) {
-                iconName = name.split('/').join('_') + '.svg';
-                targetDir = this.outputDirectory;
-            }
+            this.writeFile(this.outputDirectory + this.getIconPath(name), icon.svg);
+        }
 
-            // Making sure the target path exists
-            if(!fs.existsSync(targetDir)) {
-                fs.mkdirSync(targetDir, { recursive: true });
-            }
+        // Hash of the written file, to detect the edits made by hand. Local contents keep the hash of the file written from Figma
+        if(!isUnmodified || icon.svgHash === undefined) {
+            icon.svgHash = this.md5(icon.svg);
+        }
+    }
 
-            // Writing the icon
-            fs.writeFileSync(targetDir + iconName, icon.svg);
+    /**
+     * Returns the path of an icon file relative to the output directory
+     * @param {string} name     Icon name, e.g. «socials/facebook»
+     */
+    getIconPath(name) {
+        if(this.ignoreSubfolders) {
+            return name.split('/').join('_') + '.svg';
         }
+
+        return name + '.svg';
     }
 
     /**
-     * Parses target frame structure
+     * Parses the structure of target frames and pages, or of the whole file when no nodes are specified.
+     * Nodes are requested in batches
     */
     async getFigmaFrameContents() {
-        const apiUrl = `${this.endpointBase}/files/${this.fileId}/nodes?ids=${this.nodeId}&geometry=paths`;
+        if(this.nodeIds.length === 0) {
+            const apiUrl = `${this.endpointBase}/files/${this.fileId}?geometry=paths`;
+
+            const contents = await this.request(apiUrl);
+            this.fileVersion = { version: contents.version, lastModified: contents.lastModified };
+            Object.assign(this.componentsMetadata, contents.components);
+            Object.assign(this.componentSetsMetadata, contents.componentSets);
+            Object.assign(this.stylesMetadata, contents.styles);
+            return contents.document.children;
+        }
+
+        const frameContents = [];
+        for(let offset = 0; offset < this.nodeIds.length; offset += nodesBatchSize) {
+            const batch = this.nodeIds.slice(offset, offset + nodesBatchSize);
+            const apiUrl = `${this.endpointBase}/files/${this.fileId}/nodes?ids=${batch.join(',')}&geometry=paths`;
+
+            const contents = await this.request(apiUrl);
+            this.fileVersion = { version: contents.version, lastModified: contents.lastModified };
+            for(const nodeId of batch) {
+                const node = contents.nodes[nodeId.replace(/-/g, ':')];
+                if(node == null) {
+                    throw new Error(`Node ${nodeId} is not found in the Figma file`);
+                }
+
+                Object.assign(this.componentsMetadata, node.components);
+                Object.assign(this.componentSetsMetadata, node.componentSets);
+                Object.assign(this.stylesMetadata, node.styles);
+
+                // The node itself is kept, so its name is a part of the frame path of the icons.
+                // A link may point directly to a component
+                frameContents.push(node.document);
+            }
+        }
+
+        return frameContents;
+    }
+
+    /**
+     * Fetches the version of the Figma file without its contents
+     * @returns {{ version: string, lastModified: string }}
+     */
+    async getFileVersion() {
+        const apiUrl = `${this.endpointBase}/files/${this.fileId}?depth=1`;
+
+        const { version, lastModified } = await this.request(apiUrl);
+        return { version, lastModified };
+    }
 
-        const contents = await this.request(apiUrl);
-        return contents.nodes[this.nodeId.replace(/-/g, ':')].document.children;
+    /**
+     * Checks that icons don't share the same file name, including names differing only in case,
+     * which clash on case-insensitive file systems
+     * @param {object[]} iconsList
+     */
+    detectNameCollisions(iconsList) {
+        const paths = {};
+        for(const icon of iconsList) {
+            const path = this.getIconPath(icon.name).toLowerCase();
+            paths[path] = [...(paths[path] ?? []), icon];
+        }
+
+        const collisions = Object.keys(paths).filter(path => paths[path].length > 1);
+        if(collisions.length > 0) {
+            throw new Error(
+                'Several icons have the same name, rename them in Figma' +
+                (this.naming ? ' or adjust the naming strategy' : '') + '. No files have been written.\n' +
+                collisions.map(path => paths[path].map(({ name, nodeId }) => `${this.getIconPath(name)} (node ${nodeId})`).join(', ')).join('\n')
+            );
+        }
     }
 
     /**
      * Recursively finds icons on the frame or its children
      * @param {array[]} structure   Array of frame elements
+     * @param {string[]} framePath      Names of the frames above the elements
+     * @param {object|null} componentSet    Set of components the elements belong to
     */
-    findComponentsRecursively(frameContents) {
+    findComponentsRecursively(frameContents, framePath = [], componentSet = null) {
         const output = [];
 
         const calcIconHash = (contents, recursively = false) => {
@@ -358,36 +704,38 @@ export default class IconsSync {
             return recursively === true ? vectorData : hash;
         };
 
-        const slugifyConfig = {
-            ignore: ['/']
-        };
         frameContents.forEach((frame) => {
             if(frame.visible === false) return;
 
             if(frame.type === 'COMPONENT') {
-                // Single icon was found
+                // Single icon was found, or a variant when inside a set of components
+                const variant = componentSet !== null ? naming.parseVariantName(frame.name) : null;
+                this.componentNodes[frame.id] = frame;
 
                 output.push({
-                    name: slugify(frame.name.toLowerCase().replace(/\s/g, '-'), slugifyConfig),
+                    name: this.iconName({
+                        name: frame.name,
+                        setName: componentSet?.name ?? null,
+                        variant: variant,
+                        framePath: framePath,
+                        nodeId: frame.id,
+                    }),
                     nodeId: frame.id,
                     hash: calcIconHash(frame),
+                    framePath: framePath,
+                    paints: colors.collectPaints(frame, this.stylesMetadata),
+                    size: frame.absoluteBoundingBox ? { width: frame.absoluteBoundingBox.width, height: frame.absoluteBoundingBox.height } : null,
+                    ...(variant !== null ? { set: componentSet.name, variant: variant } : {}),
                 });
             } else if(frame.type === 'COMPONENT_SET') {
                 // Set of components was found: typically it's just variations of a single icon packed in one component.
-                // Appending a prefix of the set's name and transliterating non-latin chars
+                // Variants are named after the set and their properties
 
-                const componentSetName = slugify(frame.name.toLowerCase().replace(/\s/g, '-'), slugifyConfig);
-                const children = this.findComponentsRecursively(frame.children);
-
-                output.push(...children.map((value) => ({
-                    name: `${componentSetName}__${slugify(value.name.toLowerCase().replace(/=/g, '_'), slugifyConfig)}`,
-                    nodeId: value.nodeId,
-                    hash: value.hash,
-                })));
+                output.push(...this.findComponentsRecursively(frame.children, framePath, frame));
             } else if(frame.children) {
                 // Components are stored at the lowest level, so if the frame has children, skipping right to children
 
-                output.push(...this.findComponentsRecursively(frame.children));
+                output.push(...this.findComponentsRecursively(frame.children, [...framePath, frame.name], componentSet));
             }
         });
 
@@ -395,48 +743,90 @@ export default class IconsSync {
     }
 
     /**
-     * Downloads icons: first, sends a request to obtain download links for all icons in SVG,
-     * then fetches one by one, cleans and optimizes with SVGo
+     * Downloads icons: first, sends requests to obtain download links for all icons in SVG in batches,
+     * then fetches them in parallel, cleans and optimizes with SVGo
     */
     async downloadAndCleanIcons(iconsList) {
-        const iconsNodesList = iconsList.map((value) => value.nodeId);
-        const apiUrl = `${this.endpointBase}/images/${this.fileId}?ids=${iconsNodesList.join(',')}&format=svg`;
+        const { concurrency, batchSize } = { ...utils._defaultNetworkSettings, ...this.network };
+
+        // Long lists of IDs are split, so the URL doesn't exceed the length limits
+        const iconsURLs = {};
+        for(const batch of utils.chunk(iconsList.map((value) => value.nodeId), batchSize)) {
+            const apiUrl = `${this.endpointBase}/images/${this.fileId}?ids=${batch.join(',')}&format=svg`;
 
-        const response = await this.request(apiUrl);
-        const iconsURLs = response.images;
+            const response = await this.request(apiUrl);
+            Object.assign(iconsURLs, response.images);
+        }
 
-        const cleanedIcons = [];
+        // Colors may be mapped by the names of the variables they are bound to
+        if(
+            this.colorMapping && Object.keys(this.colorMapping.names).length > 0
+            && iconsList.some(icon => this.paintsOf(icon.nodeId).some(paint => paint.variable !== null))
+        ) {
+            await this.fetchVariableNames();
+        }
 
-        for (const iconID in iconsList) {
-            const icon = iconsList[iconID];
-            this.report(`${iconID}/${iconsList.length}\tDownloading '${icon.name}'...`, true);
-            let svg = await this.request(iconsURLs[icon.nodeId], false, false);
+        let downloadedCount = 0;
+        const unmappedColors = {};
 
-            // Checking whether an icon is monochromatic
-            const listAllColorsRegex = /\s?(?:fill|stroke)=\"\#?([\d\w]+)(?<!none)\"/gm;
-            const uniqueColors = [...svg.matchAll(listAllColorsRegex)]
-                .map((el) => el[1])
-                .filter((value, index, array) => array.indexOf(value) === index);
+        const downloadedIcons = await utils.mapConcurrently(iconsList, concurrency, async (icon) => {
+            if(!iconsURLs[icon.nodeId]) {
+                throw new Error(`Figma is unable to render the icon '${icon.name}' (node ${icon.nodeId})`);
+            }
 
-            // TODO: check for invisible frames
-            const isMonochrome = uniqueColors.length <= 1 && this.monochrome.colors.includes(uniqueColors[0]);
+            let svg = await this.request(iconsURLs[icon.nodeId], false, false);
+            this.report(`${++downloadedCount}/${iconsList.length}\tDownloaded '${icon.name}'...`, true);
 
-            // If the icon is considered monochromatic, then remove fills & strokes (if set to true)
+            // Classifying the colors of the icon: monochrome, multicolor or gradient
+            const { colorType, isMonochrome } = this.classifyColors(svg, this.paintsOf(icon.nodeId));
+            icon.colorType = colorType;
+            icon.isMonochrome = isMonochrome;
+
+            // If the icon is considered monochromatic, then remove fills & strokes (if set to true),
+            // both the attributes and the declarations of inline styles
             if(isMonochrome) {
                 if(this.monochrome.removeFill)
-                    svg = svg.replace(/\s?fill=\"\#?([\d\w]+)(?<!none)\"/gm, '');
+                    svg = svg.replace(/\sfill="(?!none")[^"]*"|(?<=style="[^"]*)\bfill\s*:\s*(?!none\b)[^;"]*;?/gm, '');
 
                 if(this.monochrome.removeStroke)
-                    svg = svg.replace(/\s?stroke=\"\#?([\d\w]+)(?<!none)\"/gm, '');
+                    svg = svg.replace(/\sstroke="(?!none")[^"]*"|(?<=style="[^"]*)\bstroke\s*:\s*(?!none\b)[^;"]*;?/gm, '');
             }
 
-            // Optimizing with SVGO
-            const cleanedSvg = optimize(svg, this.svgoConfig).data;
+            // Optimizing with SVGO, replacing the colors with the tokens of the color mapping beforehand
+            const unmapped = new Set();
+            const svgoConfig = this.colorMapping
+                ? {
+                    ...this.svgoConfig,
+                    plugins: [this.colorMappingPlugin(this.paintsOf(icon.nodeId), unmapped), ...(this.svgoConfig.plugins ?? ['preset-default'])],
+                }
+                : this.svgoConfig;
+
+            const cleanedSvg = optimize(svg, svgoConfig).data;
             icon.svg = cleanedSvg;
 
-            cleanedIcons.push(icon);
+            if(unmapped.size > 0) {
+                unmappedColors[icon.name] = [...unmapped];
+            }
+
+            return icon;
+        });
+
+        // Warning after the downloads, so the progress isn't interrupted
+        if(this.colorMapping?.warnUnmapped) {
+            for(const [name, colors] of Object.entries(unmappedColors)) {
+                this.warn('unmapped-colors', { name, colors });
+            }
         }
 
-        return cleanedIcons;
+        return downloadedIcons;
+    }
+
+    /**
+     * Returns the paints of an icon found in Figma from the node data
+     * @param {string} nodeId
+     * @returns {object[]}
+     */
+    paintsOf(nodeId) {
+        return this.foundIcons.find(icon => icon.nodeId === nodeId)?.paints ?? [];
     }
 }
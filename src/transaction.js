@@ -0,0 +1,207 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import { join } from 'node:path';
+import { randomBytes, randomUUID } from 'node:crypto';
+
+/**
+ * Creates the directory of a file when it doesn't exist
+ * @param {string} path
+ */
+function ensureDirectory(path) {
+    const targetDir = path.split('/').slice(0, -1).join('/');
+    if(targetDir !== '' && !fs.existsSync(targetDir)) {
+        fs.mkdirSync(targetDir, { recursive: true });
+    }
+}
+
+/**
+ * Removes the directory of a file when it becomes empty
+ * @param {string} path
+ */
+function removeEmptyDirectory(path) {
+    const targetDir = path.split('/').slice(0, -1).join('/');
+    if(targetDir !== '' && fs.existsSync(targetDir) && fs.readdirSync(targetDir).length === 0) {
+        fs.rmdirSync(targetDir);
+    }
+}
+
+/**
+ * Writes a file atomically: the contents are written to a temporary file next to the target, which then replaces it,
+ * so readers never see a partially written file
+ * @param {string} path
+ * @param {string|Buffer} contents
+ */
+export function writeFileAtomic(path, contents) {
+    ensureDirectory(path);
+
+    const temporaryPath = `${path}.${randomBytes(4).toString('hex')}.tmp`;
+    try {
+        fs.writeFileSync(temporaryPath, contents);
+        fs.renameSync(temporaryPath, path);
+    } catch(err) {
+        fs.rmSync(temporaryPath, { force: true });
+        throw err;
+    }
+}
+
+/**
+ * Moves a file atomically, copying it when the target is on another device
+ * @param {string} source
+ * @param {string} path
+ */
+function moveFileAtomic(source, path) {
+    ensureDirectory(path);
+
+    try {
+        fs.renameSync(source, path);
+    } catch(err) {
+        if(err.code !== 'EXDEV') { throw err; }
+        writeFileAtomic(path, fs.readFileSync(source));
+        fs.rmSync(source, { force: true });
+    }
+}
+
+/**
+ * Starts a transaction: until it is committed, the written files are staged in a temporary directory
+ * and the deleted files are only listed. Does nothing in dry run mode, as nothing is written
+ */
+export function beginTransaction() {
+    if(this.dryRun === true) { return; }
+
+    this.transaction = {
+        directory: fs.mkdtempSync(join(os.tmpdir(), 'figma-icons-sync-')),
+        writes: new Map(),
+        deletes: new Set(),
+    };
+}
+
+/**
+ * Stages a file written during the transaction
+ * @param {string} path
+ * @param {string|Buffer} contents
+ */
+export function stageFile(path, contents) {
+    const { directory, writes, deletes } = this.transaction;
+
+    // Names are never reused, as the staged files of the deleted paths are removed
+    const stagedPath = writes.get(path) ?? join(directory, randomUUID());
+    fs.writeFileSync(stagedPath, contents);
+
+    writes.set(path, stagedPath);
+    deletes.delete(path);
+}
+
+/**
+ * Lists a file deleted during the transaction
+ * @param {string} path
+ * @returns {boolean} whether the file existed, either in the output or staged
+ */
+export function unstageFile(path) {
+    const { writes, deletes } = this.transaction;
+    const existed = this.fileExists(path);
+
+    if(writes.has(path)) {
+        fs.rmSync(writes.get(path), { force: true });
+        writes.delete(path);
+    }
+    if(fs.existsSync(path)) {
+        deletes.add(path);
+    }
+
+    return existed;
+}
+
+/**
+ * Checks whether a file exists, taking the changes staged in the transaction into account
+ * @param {string} path
+ */
+export function fileExists(path) {
+    if(this.transaction) {
+        if(this.transaction.writes.has(path)) { return true; }
+        if(this.transaction.deletes.has(path)) { return false; }
+    }
+
+    return fs.existsSync(path);
+}
+
+/**
+ * Reads a file, taking the changes staged in the transaction into account
+ * @param {string} path
+ * @returns {string|false} contents, or false when the file doesn't exist
+ */
+export function readFile(path) {
+    if(!this.fileExists(path)) {
+        return false;
+    }
+
+    return fs.readFileSync(this.transaction?.writes.get(path) ?? path, { encoding: 'utf8' });
+}
+
+/**
+ * Applies the staged changes: every file replaces its target atomically, the files are deleted and the local database
+ * is written last, so an interrupted sync is detected on the next run. When a change fails, the files already replaced
+ * or deleted are restored
+ */
+export function commitTransaction() {
+    if(!this.transaction) { return; }
+
+    const { directory, writes, deletes } = this.transaction;
+    const applied = [];
+
+    // Keeps a copy of the file, so it can be restored
+    const backup = (path) => {
+        if(!fs.existsSync(path)) { return null; }
+
+        const backupPath = join(directory, `backup-${applied.length}`);
+        fs.copyFileSync(path, backupPath);
+        return backupPath;
+    };
+
+    const write = (path, stagedPath) => {
+        const backupPath = backup(path);
+        moveFileAtomic(stagedPath, path);
+        applied.push({ path, backupPath });
+    };
+
+    try {
+        for(const [path, stagedPath] of writes) {
+            if(path !== this.localHashesFile) {
+                write(path, stagedPath);
+            }
+        }
+
+        for(const path of deletes) {
+            const backupPath = backup(path);
+            fs.unlinkSync(path);
+            applied.push({ path, backupPath });
+            removeEmptyDirectory(path);
+        }
+
+        if(writes.has(this.localHashesFile)) {
+            write(this.localHashesFile, writes.get(this.localHashesFile));
+        }
+    } catch(err) {
+        for(const { path, backupPath } of applied.reverse()) {
+            if(backupPath !== null) {
+                moveFileAtomic(backupPath, path);
+            } else {
+                fs.rmSync(path, { force: true });
+                removeEmptyDirectory(path);
+            }
+        }
+        throw err;
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+        this.transaction = null;
+    }
+}
+
+/**
+ * Discards the staged changes, leaving the output untouched
+ */
+export function rollbackTransaction() {
+    if(!this.transaction) { return; }
+
+    fs.rmSync(this.transaction.directory, { recursive: true, force: true });
+    this.transaction = null;
+}
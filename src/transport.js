@@ -0,0 +1,87 @@
+import fs from 'node:fs';
+import { md5 } from './utils.js';
+
+/**
+ * Content types stored in fixtures as plain text, others are stored in base64
+ */
+const textContentTypes = /json|svg|text|xml/;
+
+/**
+ * Normalises the fixtures option
+ * @param {object|undefined} value    e.g. { mode: 'record', directory: './fixtures/' }
+ * @returns {{ mode: string, directory: string }|false}
+ */
+export function fixturesOptions(value) {
+    if(value === false || value === undefined || value === null) {
+        return false;
+    }
+
+    if(typeof value !== 'object' || ['record', 'replay'].includes(value.mode) === false) {
+        throw new Error('Fixtures option should be an object with mode \'record\' or \'replay\'');
+    }
+
+    if(typeof value.directory !== 'string') {
+        throw new Error('Fixtures option requires a directory');
+    }
+
+    return {
+        mode: value.mode,
+        directory: value.directory + (value.directory.endsWith('/') ? '' : '/'),
+    };
+}
+
+/**
+ * Wraps fetch to record responses to the fixtures directory or replay them from it.
+ * Fixtures are named by the hash of the URL; request headers, including the token, are never stored
+ * @param {function} fetchImplementation
+ * @param {{ mode: string, directory: string }} fixtures
+ * @returns {function} fetch-compatible function
+ */
+export function createFixturesTransport(fetchImplementation, { mode, directory }) {
+    const fixturePath = (url) => directory + md5(url) + '.json';
+
+    if(mode === 'replay') {
+        return async (url) => {
+            const path = fixturePath(url);
+            if(!fs.existsSync(path)) {
+                // A missing fixture won't appear on retry
+                const err = new Error(`No recorded response for ${url} in ${directory}: record the fixtures first`);
+                err.retryable = false;
+                throw err;
+            }
+
+            const fixture = JSON.parse(fs.readFileSync(path, { encoding: 'utf8' }));
+            const body = fixture.encoding === 'base64' ? Buffer.from(fixture.body, 'base64') : fixture.body;
+
+            return new Response(body.length > 0 ? body : null, { status: fixture.status, headers: fixture.headers });
+        };
+    }
+
+    return async (url, options) => {
+        const response = await fetchImplementation(url, options);
+        const body = Buffer.from(await response.arrayBuffer());
+
+        const headers = {};
+        for(const header of ['content-type', 'retry-after']) {
+            if(response.headers.has(header)) {
+                headers[header] = response.headers.get(header);
+            }
+        }
+
+        const isText = textContentTypes.test(headers['content-type'] ?? '');
+        const fixture = {
+            url: url,
+            status: response.status,
+            headers: headers,
+            encoding: isText ? 'utf8' : 'base64',
+            body: isText ? body.toString('utf8') : body.toString('base64'),
+        };
+
+        if(!fs.existsSync(directory)) {
+            fs.mkdirSync(directory, { recursive: true });
+        }
+        fs.writeFileSync(fixturePath(url), JSON.stringify(fixture, null, 2));
+
+        return new Response(body.length > 0 ? body : null, { status: response.status, headers: headers });
+    };
+}
@@ -0,0 +1,142 @@
+import fs from 'node:fs';
+import { relative, resolve } from 'node:path';
+import { globSync } from 'tinyglobby';
+import { componentName } from './emitters.js';
+
+/**
+ * Files larger than this are not scanned, bytes
+ */
+const maxFileSize = 1024 * 1024;
+
+/**
+ * Normalises the usages option
+ * @param {string|string[]|object} value    e.g. 'src/**\/*.{ts,tsx}' or { include: ['src/**'], exclude: ['**\/*.test.ts'], rewrite: true }
+ * @returns {{ include: string[], exclude: string[], rewrite: boolean }|false}
+ */
+export function usagesOptions(value) {
+    if(value === false || value === undefined || value === null) {
+        return false;
+    }
+
+    const options = {
+        include: [],
+        exclude: [],
+        rewrite: false,
+    };
+
+    if(typeof value === 'string' || value instanceof Array) {
+        options.include = [value].flat();
+    } else if(typeof value === 'object') {
+        if('include' in value) options.include = [value.include].flat();
+        if('exclude' in value) options.exclude = [value.exclude].flat();
+        if('rewrite' in value) options.rewrite = value.rewrite === true;
+    } else {
+        throw new Error('Usages option should be a glob, a list of globs or an object');
+    }
+
+    if(options.include.length === 0 || [...options.include, ...options.exclude].some(glob => typeof glob !== 'string')) {
+        throw new Error('Usages option requires a non-empty list of globs of the source files');
+    }
+
+    return options;
+}
+
+/**
+ * Finds the references to the former names of renamed icons and to removed icons in the source files:
+ * by the file name in import paths and other specifiers, the name in quotes, and the identifier of the generated component.
+ * With the rewrite option, the specifiers and the identifiers referencing the former names are replaced with the present ones.
+ * Names in quotes are only reported, as any string may be equal to a name, e.g. 'close'
+ * @param {object[]} renamedIcons       Icons present in Figma with the list of former names
+ * @param {object[]} removedIcons       Icons removed from Figma
+ * @returns {object[]} list of { name, status, presentName, file, line, column, match, rewritten }
+ */
+export function findUsages(renamedIcons, removedIcons) {
+    const { include, exclude, rewrite } = this.usages;
+    const escape = (string) => string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const prefixes = this.components ? [...new Set(this.components.map(({ prefix }) => prefix))] : [];
+
+    // Search terms of a name, each paired with the replacement for the present name, or null when it isn't rewritten
+    const terms = (name, presentName) => [
+        {
+            pattern: `(?<=['"\`/(])${escape(this.getIconPath(name))}(?=['"\`?#)])`,
+            replacement: presentName !== null ? this.getIconPath(presentName) : null,
+        },
+        {
+            pattern: `(?<=['"\`/])${escape(name)}(?=['"\`])`,
+            replacement: null,
+        },
+        ...prefixes.map(prefix => ({
+            pattern: `\\b${escape(componentName(name, prefix))}\\b`,
+            replacement: presentName !== null ? componentName(presentName, prefix) : null,
+        })),
+    ];
+
+    const searches = [
+        ...renamedIcons.flatMap(icon => icon.previousNames
+            .filter(name => name !== icon.name)
+            .map(name => ({ name: name, status: 'renamed', presentName: icon.name }))
+        ),
+        ...removedIcons.map(icon => ({ name: icon.name, status: 'removed', presentName: null })),
+    ].flatMap(search => terms(search.name, search.presentName).map(term => ({
+        ...search,
+        regex: new RegExp(term.pattern, 'g'),
+        replacement: term.replacement,
+    })));
+
+    if(searches.length === 0) {
+        return [];
+    }
+
+    // Generated files always reference the icons, so they are never scanned
+    const generatedDirectories = [
+        this.outputDirectory,
+        ...(this.components ? this.components.map(({ output }) => output !== false ? output : this.outputDirectory + 'components/') : []),
+    ].map(directory => relative(process.cwd(), resolve(directory)).replace(/\\/g, '/') + '/**');
+
+    const files = globSync(include, {
+        ignore: ['**/node_modules/**', '**/.git/**', ...generatedDirectories, ...exclude],
+        onlyFiles: true,
+    });
+
+    const usages = [];
+    for(const file of files.sort()) {
+        if(fs.statSync(file).size > maxFileSize) { continue; }
+
+        const contents = fs.readFileSync(file, { encoding: 'utf8' });
+        if(contents.includes('\0')) { continue; }
+
+        let isRewritten = false;
+        const lines = contents.split('\n').map((line, index) => {
+            for(const search of searches) {
+                for(const match of line.matchAll(search.regex)) {
+                    usages.push({
+                        name: search.name,
+                        status: search.status,
+                        presentName: search.presentName,
+                        file: file,
+                        line: index + 1,
+                        column: match.index + 1,
+                        match: match[0],
+                        rewritten: rewrite && search.replacement !== null && this.dryRun !== true,
+                    });
+                }
+            }
+
+            // Locations are reported in the original line, so it is rewritten after all the searches
+            if(rewrite) {
+                for(const search of searches.filter(({ replacement }) => replacement !== null)) {
+                    const rewrittenLine = line.replace(search.regex, search.replacement);
+                    isRewritten = isRewritten || rewrittenLine !== line;
+                    line = rewrittenLine;
+                }
+            }
+            return line;
+        });
+
+        if(isRewritten) {
+            this.writeFile(file, lines.join('\n'));
+        }
+    }
+
+    return usages;
+}
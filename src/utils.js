@@ -1,6 +1,8 @@
 import fs from 'node:fs';
 import { createHash } from 'node:crypto';
 import colors from 'colors';
+import { optimize } from 'svgo';
+import { writeFileAtomic } from './transaction.js';
 
 /**
  * Calculates MD5 Hash for vector object contents
@@ -20,7 +22,8 @@ export function printToConsole(text, replaceLine = false) {
     if(this.cli.quiet === true) { return; }
 
     if(replaceLine === true) {
-        process.stdout.clearLine(0);
+        // Not available when the output is piped, e.g. on CI
+        if(process.stdout.isTTY) { process.stdout.clearLine(0); }
         process.stdout.write(text + '\r');
     } else {
         console.log(text);
@@ -28,46 +31,217 @@ export function printToConsole(text, replaceLine = false) {
 }
 
 /**
- * Sends HTTP Requests
+ * Sends HTTP Requests via the configured transport or global fetch. Timeouts, network errors,
+ * 429 and 5xx responses are retried with exponential backoff, honouring the Retry-After header.
+ * Errors of the transport with «retryable» set to false are thrown at once
  * @param {string} endpoint        Endpoint
- * @param {boolean} unpackJson     Parse response with JSON.decode and return as object
+ * @param {boolean|'binary'} unpackJson     Parse response with JSON.decode and return as object; 'binary' returns a Buffer
  * @param {boolean} useAuth        Send Figma Auth header
  */
-export function sendRequest(endpoint, unpackJson = true, useAuth = true) {
-    const headers = {
-        'X-Figma-Token': this.token,
-    };
+export async function sendRequest(endpoint, unpackJson = true, useAuth = true) {
+    const { timeout, retries, backoff, maxRetryDelay } = { ..._defaultNetworkSettings, ...this.network };
+
+    const headers = this.tokenType === 'oauth'
+        ? { 'Authorization': 'Bearer ' + this.token }
+        : { 'X-Figma-Token': this.token };
 
     const options = {
         method: 'GET',
         headers: useAuth ? headers : [],
     };
 
-    return fetch(endpoint, options)
-        .then((response) => {
-            if(!response.ok || response.status !== 200) {
-                throw new Error(`Unable to reach ${endpoint}, status ${response.status}`);
+    const retry = async (attempt, reason, delay = null) => {
+        // Exponential backoff with a bit of jitter, so parallel requests don't retry at the same moment
+        delay = delay ?? backoff * 2 ** attempt * (1 + Math.random() * 0.2);
+        if(delay > maxRetryDelay) {
+            throw new Error(`Unable to reach ${endpoint}, ${reason}: retry is possible in ${Math.ceil(delay / 1000)} s`);
+        }
+
+        this.report(`${reason}, retrying in ${Math.ceil(delay / 1000)} s (${attempt + 1}/${retries})...`, true);
+        await new Promise(resolve => setTimeout(resolve, delay));
+    };
+
+    for(let attempt = 0; ; attempt++) {
+        let response;
+        try {
+            response = await (this.transport ?? fetch)(endpoint, { ...options, signal: AbortSignal.timeout(timeout) });
+        } catch(err) {
+            // Transports mark the errors that can't be fixed by retrying
+            if(err.retryable === false) {
+                throw err;
+            }
+
+            const reason = err.name === 'TimeoutError' ? `no response in ${timeout} ms` : err.message;
+            if(attempt >= retries) {
+                throw new Error(`Unable to reach ${endpoint}, ${reason}`);
             }
 
+            await retry(attempt, reason);
+            continue;
+        }
+
+        if(response.ok && response.status === 200) {
+            if(unpackJson === 'binary') {
+                return Buffer.from(await response.arrayBuffer());
+            }
             return unpackJson ? response.json() : response.text();
-        });
+        }
+
+        if((response.status === 429 || response.status >= 500) && attempt < retries) {
+            await retry(attempt, `status ${response.status}`, parseRetryAfter(response.headers.get('retry-after')));
+            continue;
+        }
+
+        if(response.status === 403 && useAuth) {
+            throw await accessDeniedError.call(this, response);
+        }
+
+        throw new Error(`Unable to reach ${endpoint}, status ${response.status}`);
+    }
+}
+
+/**
+ * Builds an actionable error for 403 responses of Figma API
+ * @param {Response} response
+ */
+async function accessDeniedError(response) {
+    // Figma explains the reason in the body, e.g. {"status":403,"err":"Invalid token"}
+    const reason = await response.json().then(body => body.err ?? body.message).catch(() => null);
+
+    const advice = this.tokenType === 'oauth'
+        ? 'Check that the OAuth token is not expired and was granted the file_content:read scope'
+        : 'Check that the personal access token is valid, not expired and has the file_content:read scope';
+
+    return new Error(
+        `Figma API denied access${reason ? ': ' + reason : ''} (status 403). ` +
+        `${advice}, and that its owner has access to the file ${this.fileId}.`
+    );
+}
+
+/**
+ * Converts the value of Retry-After header to milliseconds
+ * @param {string|null} value   Number of seconds or HTTP date
+ * @returns {number|null}
+ */
+export function parseRetryAfter(value) {
+    if(value === null || value.trim() === '') {
+        return null;
+    }
+
+    if(/^\d+(\.\d+)?$/.test(value.trim())) {
+        return parseFloat(value) * 1000;
+    }
+
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+/**
+ * Maps the items with an async function, running at most `limit` calls at once
+ * @param {array} items
+ * @param {number} limit
+ * @param {function} callback   Receives an item and its index
+ * @returns {Promise<array>} results in the order of items
+ */
+export async function mapConcurrently(items, limit, callback) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    const worker = async () => {
+        while(nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await callback(items[index], index);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker));
+    return results;
+}
+
+/**
+ * Splits the list into chunks
+ * @param {array} items
+ * @param {number} size
+ */
+export function chunk(items, size) {
+    if(!Number.isInteger(size) || size < 1) {
+        throw new Error(`Chunk size should be a positive integer, got ${size}`);
+    }
+
+    const chunks = [];
+    for(let offset = 0; offset < items.length; offset += size) {
+        chunks.push(items.slice(offset, offset + size));
+    }
+    return chunks;
+}
+
+/**
+ * Writes a file to the output atomically, creating the target directory when needed.
+ * During a sync the file is staged until the sync succeeds. Does nothing in dry run mode
+ * @param {string} path
+ * @param {string|Buffer} contents
+ */
+export function writeFile(path, contents) {
+    if(this.dryRun === true) { return; }
+
+    if(this.transaction) {
+        this.stageFile(path, contents);
+        return;
+    }
+
+    writeFileAtomic(path, contents);
 }
 
 /**
- * Extracts file ID and frame ID from figma link
- * @param {string} url  URL to Figma frame containing icons
+ * Deletes a file from the output, removing the directory when it becomes empty.
+ * During a sync the file is deleted once the sync succeeds. Does nothing in dry run mode
+ * @param {string} path
+ * @returns {boolean} whether the file existed
+ */
+export function deleteFile(path) {
+    if(this.transaction) {
+        return this.unstageFile(path);
+    }
+
+    if(!fs.existsSync(path)) { return false; }
+    if(this.dryRun === true) { return true; }
+
+    fs.unlinkSync(path);
+
+    const targetDir = path.split('/').slice(0, -1).join('/');
+    if(targetDir !== '' && fs.readdirSync(targetDir).length === 0) {
+        fs.rmdirSync(targetDir);
+    }
+
+    return true;
+}
+
+/**
+ * Extracts file ID and node IDs from figma link.
+ * Links without node-id point to the whole file; node-id may contain several comma-separated IDs
+ * @param {string} url  URL to Figma file, page or frame containing icons
+ * @returns {{ fileId: string, nodeIds: string[] }}
  */
 export function extractFileIdsFromUrl(url) {
-    const extractIdsRegex = /www\.figma\.com\/(?:file|design)\/([\w\d]+)\/.+(?:\?|\&)node-id=([\d\-]+)/m;
+    const extractIdsRegex = /www\.figma\.com\/(?:file|design)\/([\w\d]+)(?:\/[^?#]*)?(?:\?([^#]*))?/m;
     const matches = url.match(extractIdsRegex);
 
-    if(matches === null || matches.length !== 3) {
-        throw new Error('Wrong Figma file URL: provide a link directly to a frame');
+    if(matches === null) {
+        throw new Error('Wrong Figma file URL: provide a link to a file, a page or a frame');
+    }
+
+    const nodeIds = (new URLSearchParams(matches[2] ?? '').get('node-id') ?? '')
+        .split(',')
+        .map(id => id.trim().replace(/:/g, '-'))
+        .filter(id => id !== '');
+
+    if(nodeIds.some(id => /^[\d\-]+$/.test(id) === false)) {
+        throw new Error('Wrong Figma file URL: node-id is malformed');
     }
 
     return {
         fileId: matches[1],
-        nodeId: matches[2],
+        nodeIds: nodeIds,
     };
 }
 
@@ -81,17 +255,19 @@ export function checkRequirements() {
 }
 
 /**
- * Performs migrations when upgrading to a newer package version
+ * Performs migrations of the files when upgrading to a newer package version.
+ * The schema of the local database is upgraded when it is read, see database.js
  */
 export async function performMigrations() {
-    // Migration to 1.1.0
+    // Migration to 1.1.0. In dry run mode nothing is written: the migrated database is kept in memory
     const deprecatedHashesFile = this.outputDirectory + '_icons.js';
     if(fs.existsSync(deprecatedHashesFile) && fs.existsSync(this.localHashesFile) === false) {
-        const contents = await fs.readFileSync(deprecatedHashesFile, { encoding: 'utf8' });
+        const contents = fs.readFileSync(deprecatedHashesFile, { encoding: 'utf8' });
         try {
             const icons = JSON.parse(contents);
-            await fs.writeFileSync(this.localHashesFile, JSON.stringify(icons));
-            fs.unlinkSync(deprecatedHashesFile);
+            this.migratedDb = icons;
+            this.writeFile(this.localHashesFile, JSON.stringify(icons));
+            this.deleteFile(deprecatedHashesFile);
         } catch(err) {
             this.report('Unable to perform migration to 1.1.0: _icons.js is damaged');
         }
@@ -107,6 +283,16 @@ export function warn(event, data) {
     };
 
     const events = {
+        'invalid-config': {
+            type: 'warning',
+            badges: [
+                'WARNING'.bgYellow.black,
+            ],
+            message: [
+                `${data.message}, the setting is ignored.`,
+            ],
+            filenames: {},
+        },
         'renamed-unable-to-save': {
             type: 'error',
             badges: [
@@ -166,6 +352,70 @@ export function warn(event, data) {
                 present: data.presentName + '.svg',
             }
         },
+        'unmapped-colors': {
+            type: 'warning',
+            badges: [
+                'WARNING'.bgYellow.black,
+            ],
+            message: [
+                `The icon '${data.name}.svg' has colors missing in the color mapping: ${(data.colors ?? []).join(', ')}.`,
+            ],
+            filenames: {
+                present: data.name + '.svg',
+            }
+        },
+        'lint-error': {
+            type: 'error',
+            badges: [
+                'WARNING'.bgYellow.black,
+                'UNABLE TO SAVE'.bgYellow.black
+            ],
+            message: [
+                `The icon '${data.name}.svg' breaks the lint rule '${data.rule}': ${data.message}.`
+            ],
+            filenames: {
+                present: data.name + '.svg',
+            }
+        },
+        'lint-warning': {
+            type: 'warning',
+            badges: [
+                'WARNING'.bgYellow.black,
+            ],
+            message: [
+                `The icon '${data.name}.svg' breaks the lint rule '${data.rule}': ${data.message}.`
+            ],
+            filenames: {
+                present: data.name + '.svg',
+            }
+        },
+        'locally-edited': {
+            type: 'warning',
+            badges: [
+                'WARNING'.bgYellow.black,
+            ],
+            message: [
+                data.isOverwritten
+                    ? `The icon '${data.name}.svg' was edited locally, the edits are overwritten with the changes from Figma.`
+                    : `The icon '${data.name}.svg' was edited locally, the edits are kept until the icon changes in Figma.`
+            ],
+            filenames: {
+                present: data.name + '.svg',
+            }
+        },
+        'component-name-conflict': {
+            type: 'error',
+            badges: [
+                'WARNING'.bgYellow.black,
+                'UNABLE TO SAVE'.bgYellow.black
+            ],
+            message: [
+                `The component '${data.componentName}' for the icon '${data.name}.svg' conflicts with another icon's component.`
+            ],
+            filenames: {
+                present: data.name + '.svg',
+            }
+        },
     };
 
     if(event in events) {
@@ -195,6 +445,7 @@ export function visualiseChangelog(result) {
 
     const changelog = result.changelog;
     const totalFetches = result.totalFetches;
+    const dryRun = result.dryRun === true;
 
     this.report('', true);
     
@@ -209,13 +460,70 @@ export function visualiseChangelog(result) {
             (changelog.removed.length > 0 ? ' (' + changelog.removed.join(', ') + ')' : '')
         ).magenta
     );
+    if(changelog.skipped.length > 0) {
+        this.report(`Skipped: \t${changelog.skipped.length} (${changelog.skipped.join(', ')})`.gray);
+    }
+    if(changelog.blocked.length > 0) {
+        this.report(`Blocked: \t${changelog.blocked.length} (${changelog.blocked.join(', ')})`.red);
+    }
     console.groupEnd();
 
-    if(totalFetches === 0) {
+    if('lint' in result && result.lint.problems.length > 0) {
+        this.report(`Lint: \t${result.lint.errors} errors, ${result.lint.warnings} warnings`.yellow);
+    }
+
+    if('diff' in result) {
+        const changed = result.diff.filter(({ status }) => status !== 'identical');
+        this.report(`Contents differ: \t${changed.length}` + (changed.length > 0 ? ' (' + changed.map(({ name }) => name).join(', ') + ')' : ''));
+    }
+
+    if('pruned' in result && result.pruned.length > 0) {
+        this.report(
+            `${dryRun ? 'To be pruned' : 'Pruned'}: \t${result.pruned.length} (${result.pruned.join(', ')})`.gray
+        );
+    }
+
+    if('usages' in result && result.usages.length > 0) {
+        this.report('', true);
+        console.group(`Usages of renamed and removed icons: ${result.usages.length}`.yellow);
+        for(const usage of result.usages) {
+            this.report(
+                `${usage.file}:${usage.line}:${usage.column}\t`.gray + usage.match +
+                (usage.presentName !== null ? ` → ${usage.presentName}` : ' (removed)') +
+                (usage.rewritten ? ' (rewritten)'.green : '')
+            );
+        }
+        console.groupEnd();
+    }
+
+    if(dryRun) {
+        this.report('Dry run: no files were written.'.gray);
+        this.report(result.hasChanges ? '✗ Local icons are out of sync with Figma.'.red : '✓ All icons are up-to-date.');
+    } else if(totalFetches === 0) {
         this.report('✓ All icons are up-to-date.');
     }
 };
 
+/**
+ * Parses SVG markup into the SVGo syntax tree (XAST) without modifying it
+ * @param {string|Buffer} svg
+ * @returns {object} root node
+ */
+export function parseSvg(svg) {
+    let tree = null;
+    optimize(svg.toString(), {
+        plugins: [{
+            name: 'captureTree',
+            fn: (root) => {
+                tree = root;
+                return {};
+            },
+        }],
+    });
+
+    return tree;
+}
+
 /**
  * Default settings for SVGo optimisation
  */
@@ -231,4 +539,22 @@ export const _defaultSVGoSettings = {
             },
         },
     ]),
-};
\ No newline at end of file
+};
+
+/**
+ * Default settings for requests to Figma
+ */
+export const _defaultNetworkSettings = {
+    // Request timeout, ms
+    timeout: 30000,
+    // Number of retries for timeouts, network errors, 429 and 5xx responses
+    retries: 3,
+    // Initial delay before a retry, doubled with every attempt, ms
+    backoff: 1000,
+    // Maximum delay before a retry, including the one requested via Retry-After, ms
+    maxRetryDelay: 60000,
+    // Number of icons downloaded at once
+    concurrency: 5,
+    // Maximum number of icons per request for download links
+    batchSize: 100,
+};
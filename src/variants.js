@@ -0,0 +1,56 @@
+/**
+ * Normalises the variants option
+ * @param {object} value    e.g. { filter: { size: ['16', '24'], style: 'filled' } } or { filter: (variant, setName) => variant.size === '24' }
+ * @returns {{ filter: object|function|null }|false}
+ */
+export function variantsOptions(value) {
+    if(value === false || value === undefined || value === null) {
+        return false;
+    }
+
+    if(typeof value !== 'object') {
+        throw new Error('Variants option should be an object');
+    }
+
+    const options = {
+        filter: null,
+        ...value,
+    };
+
+    if(options.filter !== null && typeof options.filter === 'object') {
+        options.filter = Object.fromEntries(Object.entries(options.filter).map(([property, values]) => {
+            values = [values].flat();
+            if(values.some(v => typeof v !== 'string' && typeof v !== 'number')) {
+                throw new Error(`Variants filter of the property '${property}' should be a value or a list of values`);
+            }
+            return [property.toLowerCase(), values.map(v => String(v).toLowerCase())];
+        }));
+    } else if(options.filter !== null && typeof options.filter !== 'function') {
+        throw new Error('Variants filter should be an object with the allowed values of the properties or a function');
+    }
+
+    return options;
+}
+
+/**
+ * Checks whether the variant of a component set should be exported.
+ * Properties of the filter that the set doesn't have are ignored
+ * @param {object} variant      Properties of the variant, e.g. { size: '24', style: 'filled' }
+ * @param {string} setName
+ * @returns {boolean}
+ */
+export function isVariantIncluded(variant, setName) {
+    const filter = this.variants ? this.variants.filter : null;
+    if(filter === null) {
+        return true;
+    }
+
+    if(typeof filter === 'function') {
+        return filter(variant, setName) === true;
+    }
+
+    return Object.entries(variant).every(([property, value]) => {
+        const allowed = filter[property.toLowerCase()];
+        return allowed === undefined || allowed.includes(value.toLowerCase());
+    });
+}
@@ -0,0 +1,101 @@
+import { spawn } from 'node:child_process';
+import FigmaSync from './sync.js';
+import { buildOptions } from './config.js';
+
+/**
+ * Minimum polling interval, seconds. Shorter intervals would flood Figma API with requests
+ */
+const minInterval = 5;
+
+/**
+ * Runs the hook command in the shell. The sync result is passed in ICONS_SYNC_RESULT environment variable
+ * @param {string} command
+ * @param {object} result
+ */
+export function runHook(command, result) {
+    return new Promise((resolve, reject) => {
+        const hook = spawn(command, {
+            shell: true,
+            stdio: 'inherit',
+            env: { ...process.env, ICONS_SYNC_RESULT: JSON.stringify(result) },
+        });
+
+        hook.on('error', reject);
+        hook.on('exit', (code) => code === 0 ? resolve() : reject(new Error(`Hook '${command}' exited with code ${code}`)));
+    });
+}
+
+/**
+ * Keeps the targets in sync: polls the versions of Figma files and runs the full sync only when a file has changed
+ * @param {object[]} targets    Targets resolved from the config
+ * @param {object} options
+ * @param {number} options.interval         Polling interval, seconds, at least 5
+ * @param {string|null} options.hook        Command to run after every sync with a non-empty changelog
+ * @param {boolean} options.forceReload     Force re-fetch on the first sync
+ * @param {function} options.onSync         Called with the result and the target after every sync
+ * @param {function} options.onError        Called with the error and the target when a sync fails
+ * @returns {{ stop: function }}
+ */
+export function watchTargets(targets, { interval = 60, hook = null, forceReload = false, onSync = () => {}, onError = null } = {}) {
+    if(typeof interval !== 'number' || !Number.isFinite(interval) || interval < minInterval) {
+        throw new Error(`Polling interval should be a number of seconds, at least ${minInterval}`);
+    }
+
+    const versions = targets.map(() => null);
+    const isVerbose = targets.some(target => target.enableConsoleOutput === true && target.quiet !== true);
+    let timer = null;
+    let isStopped = false;
+
+    const cycle = async () => {
+        let hasSynced = false;
+
+        for(const [index, target] of targets.entries()) {
+            const syncer = new FigmaSync(buildOptions(target));
+
+            try {
+                const { version, lastModified } = await syncer.getFileVersion();
+                const currentVersion = `${version}/${lastModified}`;
+                if(versions[index] === currentVersion) { continue; }
+
+                if(targets.length > 1) {
+                    syncer.report('\n' + (target.name ?? [target.figmaLink].flat().join(', ')).bold);
+                }
+                if(versions[index] !== null) {
+                    syncer.report(`The file has changed (version ${version}), syncing...`);
+                }
+
+                hasSynced = true;
+                const result = await syncer.extractIcons(forceReload && versions[index] === null);
+                versions[index] = currentVersion;
+                onSync(result, target);
+
+                if(hook !== null && result.hasChanges) {
+                    await runHook(hook, result);
+                }
+            } catch(err) {
+                // A failed cycle doesn't stop watching: the sync is retried on the next one
+                if(onError !== null) {
+                    onError(err, target);
+                } else if(target.enableConsoleOutput === true) {
+                    console.error('Sync Error'.white.bgRed + '\n' + err.message);
+                }
+            }
+        }
+
+        if(!isStopped) {
+            if(isVerbose && hasSynced) {
+                console.log(`[${new Date().toLocaleTimeString()}] Watching for changes every ${interval} s...`.gray);
+            }
+            timer = setTimeout(cycle, interval * 1000);
+        }
+    };
+
+    cycle();
+
+    return {
+        stop: () => {
+            isStopped = true;
+            clearTimeout(timer);
+        },
+    };
+}